@@ -0,0 +1,94 @@
+// Example bot: collects sets of matching ranks and never bothers with runs.
+// Copy this file to start your own; bots/README.md explains every request and answer.
+
+function isWild(card, state) {
+    if (card.rank === 'JOKER') return true;
+    return card.rank === '2' && (state.wildCards === 'deuces' || state.wildCards === 'jokersAndDeuces');
+}
+
+// Hand positions of the natural cards, grouped by rank
+function groupByRank(state) {
+    const groups = new Map();
+    state.hand.forEach((card, index) => {
+        if (isWild(card, state)) return;
+        if (!groups.has(card.rank)) groups.set(card.rank, []);
+        groups.get(card.rank).push(index);
+    });
+    return groups;
+}
+
+function penalty(card) {
+    if (card.rank === 'A') return 20;
+    if (['J', 'Q', 'K'].includes(card.rank)) return 10;
+    return Number(card.rank) || 0;
+}
+
+// Worth taking when it matches something already in hand
+function wants(card, state) {
+    if (isWild(card, state)) return true;
+    return (groupByRank(state).get(card.rank) || []).length > 0;
+}
+
+function play(state) {
+    const contract = state.roundRequirements;
+
+    if (!state.hasGoneDown) {
+        if (contract.runs > 0) return { action: 'done' };
+        const sets = [...groupByRank(state).values()].filter(indices => indices.length >= contract.minSetSize);
+        if (sets.length < contract.sets) return { action: 'done' };
+        return {
+            action: 'goDown',
+            melds: sets.slice(0, contract.sets).map(cardIndices => ({ cardIndices, meldType: 'set' }))
+        };
+    }
+
+    // Melds laid down this turn can't be added to until the next one
+    if (state.turnPhase.wentDown) return { action: 'done' };
+
+    for (const [targetPlayer, melds] of Object.entries(state.allPlayerMelds)) {
+        for (let meldIndex = 0; meldIndex < melds.length; meldIndex++) {
+            const meld = melds[meldIndex];
+            const natural = meld.cards.find(card => !card.represents);
+            if (meld.type !== 'set' || !natural) continue;
+
+            const cardIndex = state.hand.findIndex(card => card.rank === natural.rank && !isWild(card, state));
+            if (cardIndex >= 0) return { action: 'layOffCard', cardIndex, targetPlayer, meldIndex };
+        }
+    }
+    return { action: 'done' };
+}
+
+// Throw away the costliest card that isn't part of a pair
+function discard(state) {
+    const groups = groupByRank(state);
+    let best = -1;
+    state.hand.forEach((card, index) => {
+        if (isWild(card, state)) return;
+        const bestCard = state.hand[best];
+        const score = [groups.get(card.rank).length, -penalty(card)];
+        const bestScore = bestCard ? [groups.get(bestCard.rank).length, -penalty(bestCard)] : null;
+        if (!bestScore || score[0] < bestScore[0] || (score[0] === bestScore[0] && score[1] < bestScore[1])) best = index;
+    });
+    return { cardIndex: best >= 0 ? best : 0 };
+}
+
+function decide(request) {
+    const { state } = request;
+
+    switch (request.decision) {
+        case 'discardOffer':
+            return { wantsDiscard: wants(request.card, state) };
+        case 'draw':
+            return { source: state.discardTop && wants(state.discardTop, state) ? 'discard' : 'deck' };
+        case 'buy':
+            return { wantsCard: !isWild(request.card, state) && (groupByRank(state).get(request.card.rank) || []).length >= 2 };
+        case 'play':
+            return play(state);
+        case 'discard':
+            return discard(state);
+        default:
+            return null;
+    }
+}
+
+module.exports = { decide };
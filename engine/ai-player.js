@@ -0,0 +1,352 @@
+const { RANKS, SUIT_SYMBOLS } = require('./constants');
+const { getRunRanks, getLayOffPlacement } = require('./melds');
+const { SEARCH_LIMIT, planContract } = require('./hand-planner');
+
+// How hard each difficulty thinks. `breadth` is how many targets the hand planner
+// tries for each meld; `buyGain` is how many cards closer to the contract a buy must
+// bring it; `watchesNextPlayer` avoids discarding what the next player is collecting.
+const DIFFICULTY_SETTINGS = {
+    easy: { breadth: 3, buyGain: 2, watchesNextPlayer: false },
+    medium: { breadth: 6, buyGain: 1, watchesNextPlayer: false },
+    hard: { breadth: Infinity, buyGain: 1, watchesNextPlayer: true }
+};
+
+// Partial plans one discard decision may search, shared between the cards it could throw
+// away, so a hand of 25 against a huge contract costs no more than an everyday one
+const DISCARD_SEARCH_BUDGET = 5000;
+
+const SUITS_BY_SYMBOL = Object.fromEntries(Object.entries(SUIT_SYMBOLS).map(([suit, symbol]) => [symbol, suit]));
+
+class AIPlayer {
+    constructor(name, difficulty = 'medium') {
+        this.name = name;
+        this.difficulty = difficulty; // 'easy', 'medium', 'hard'
+        this.isAI = true;
+    }
+
+    getSettings() {
+        return DIFFICULTY_SETTINGS[this.difficulty] || DIFFICULTY_SETTINGS.medium;
+    }
+
+    // Time to "think" before acting, so the table can follow along. Strength
+    // comes from getSettings(), not from reacting faster.
+    getDecisionDelay() {
+        return 1000 + Math.random() * 1500;
+    }
+
+    // How close a hand is to this round's contract; see hand-planner.js
+    assessHand(game, hand = game.playerHands.get(this.name), searchLimit = SEARCH_LIMIT) {
+        return planContract(hand, game.getRoundRequirements(), {
+            isWild: card => game.isWildCard(card),
+            penalty: card => game.getCardPenalty(card),
+            aceRuns: game.aceRuns,
+            breadth: this.getSettings().breadth,
+            searchLimit
+        });
+    }
+
+    // How many fewer cards the contract would need with this card in hand
+    contractGain(game, card) {
+        const hand = game.playerHands.get(this.name);
+        return this.assessHand(game, hand).needed - this.assessHand(game, [...hand, card]).needed;
+    }
+
+    // Take the discard instead of drawing blind only when it gets the hand closer,
+    // or once down, when it can go straight onto the table
+    shouldTakeDiscard(game, discardCard) {
+        if (!discardCard) return false;
+        if (game.hasGoneDown(this.name)) return this.canPlayOnTable(game, discardCard);
+        return this.contractGain(game, discardCard) > 0;
+    }
+
+    canPlayOnTable(game, card) {
+        return game.players.some(player => (game.playerMelds.get(player) || []).some(meld => game.canLayOffCard(card, meld)));
+    }
+
+    // The next card to lay off on any player's meld, as { cardIndex, targetPlayer, meldIndex },
+    // or null. Costly natural cards go first; wild cards go last so they don't take a
+    // place a natural card in hand could have filled.
+    chooseLayOff(game) {
+        const hand = game.playerHands.get(this.name);
+        const order = hand.map((card, index) => index).sort((a, b) => {
+            const wildA = game.isWildCard(hand[a]) ? 1 : 0;
+            const wildB = game.isWildCard(hand[b]) ? 1 : 0;
+            if (wildA !== wildB) return wildA - wildB;
+            return game.getCardPenalty(hand[b]) - game.getCardPenalty(hand[a]);
+        });
+        
+        for (const cardIndex of order) {
+            for (const targetPlayer of game.players) {
+                const meldIndex = (game.playerMelds.get(targetPlayer) || []).findIndex(meld => game.canLayOffCard(hand[cardIndex], meld));
+                if (meldIndex >= 0) return { cardIndex, targetPlayer, meldIndex };
+            }
+        }
+        return null;
+    }
+
+    // A buy costs a penalty card as well, so it has to be worth it
+    shouldBuyCard(game, discardCard) {
+        const buysRemaining = game.playerBuys.get(this.name) || 0;
+        if (buysRemaining <= 0 || game.hasGoneDown(this.name)) return false;
+        
+        const settings = this.getSettings();
+        const gain = this.contractGain(game, discardCard);
+        if (gain < settings.buyGain) return false;
+        
+        // Careful players keep their last buy for when the contract is within reach
+        if (this.difficulty === 'hard' && buysRemaining === 1) {
+            const hand = game.playerHands.get(this.name);
+            return this.assessHand(game, [...hand, discardCard]).needed <= 2;
+        }
+        return true;
+    }
+
+    // Counts rank and suit neighbours of a card in a hand
+    evaluateCardValue(card, hand, requirements, game) {
+        // Wild cards fit anywhere, so they are always worth keeping
+        if (game && game.isWildCard(card)) return 20;
+        
+        let value = 0;
+        
+        // Count matching ranks for sets
+        const sameRank = hand.filter(c => c.rank === card.rank).length;
+        if (sameRank >= 2) value += (sameRank * 3);
+        
+        // Count potential runs
+        const sameSuit = hand.filter(c => c.suit === card.suit);
+        sameSuit.forEach(c => {
+            const diff = Math.abs(c.value - card.value);
+            if (diff === 1) value += 4;
+            if (diff === 2) value += 2;
+        });
+        
+        return value;
+    }
+
+    chooseBestMeld(game) {
+        const hand = game.playerHands.get(this.name);
+        const requirements = game.getRoundRequirements();
+        
+        // Find all possible melds
+        const wildIndices = hand.map((card, index) => game.isWildCard(card) ? index : -1).filter(index => index >= 0);
+        const possibleSets = this.findPossibleSets(hand, wildIndices);
+        const possibleRuns = this.findPossibleRuns(hand, wildIndices, game.aceRuns);
+        
+        // Prioritize based on round requirements
+        let bestMeld = null;
+        let bestScore = 0;
+        
+        // Check sets first if we need them
+        if (requirements.sets > 0) {
+            possibleSets.forEach(set => {
+                const score = this.scoreMeld(set, 'set', requirements);
+                if (score > bestScore) {
+                    bestMeld = { cards: set, type: 'set' };
+                    bestScore = score;
+                }
+            });
+        }
+        
+        // Check runs if we need them
+        if (requirements.runs > 0) {
+            possibleRuns.forEach(run => {
+                const score = this.scoreMeld(run, 'run', requirements);
+                if (score > bestScore) {
+                    bestMeld = { cards: run, type: 'run' };
+                    bestScore = score;
+                }
+            });
+        }
+        
+        return bestMeld;
+    }
+
+    // Pick disjoint melds from the hand that together make the round's contract,
+    // as { cardIndices, meldType } specs for game.goDown(). Null if the hand can't go down yet.
+    // The melds are the ones the hand planner settled on, so the AI goes down exactly
+    // when assessHand says it can.
+    planGoDown(game) {
+        const hand = game.playerHands.get(this.name);
+        const plan = this.assessHand(game, hand);
+        if (!plan || plan.needed > 0) return null;
+        
+        // Each meld takes wild cards for whatever its natural cards leave missing
+        const wildIndices = hand.map((card, index) => game.isWildCard(card) ? index : -1).filter(index => index >= 0);
+        const specs = plan.slots.map(slot => ({
+            cardIndices: [...slot.cardIndices, ...wildIndices.splice(0, slot.missing)],
+            meldType: slot.type
+        }));
+        
+        // Spare natural cards go down too when they fit, since more melds have to wait a turn
+        // (a run can only grow at its ends, so keep going until nothing more fits)
+        const used = new Set(specs.flatMap(spec => spec.cardIndices));
+        let grew = true;
+        while (grew) {
+            grew = false;
+            specs.forEach(spec => {
+                hand.forEach((card, index) => {
+                    if (used.has(index) || game.isWildCard(card)) return;
+                    const longer = [...spec.cardIndices, index];
+                    if (game.validateMeld(longer.map(i => hand[i]), spec.meldType)) {
+                        spec.cardIndices = longer;
+                        used.add(index);
+                        grew = true;
+                    }
+                });
+            });
+        }
+        
+        const valid = specs.every(spec => game.validateMeld(spec.cardIndices.map(index => hand[index]), spec.meldType));
+        return valid ? specs : null;
+    }
+
+    findPossibleSets(hand, wildIndices = []) {
+        const sets = [];
+        const rankGroups = {};
+        
+        hand.forEach((card, index) => {
+            if (wildIndices.includes(index)) return;
+            if (!rankGroups[card.rank]) rankGroups[card.rank] = [];
+            rankGroups[card.rank].push({ card, index });
+        });
+        
+        Object.values(rankGroups).forEach(group => {
+            if (group.length >= 3) {
+                // Try all combinations of 3+ cards
+                for (let size = 3; size <= group.length; size++) {
+                    const indices = group.slice(0, size).map(item => item.index);
+                    sets.push(indices);
+                }
+            } else if (group.length === 2 && wildIndices.length > 0) {
+                // A pair plus a wild card still makes a set
+                sets.push([...group.map(item => item.index), wildIndices[0]]);
+            }
+        });
+        
+        return sets;
+    }
+
+    findPossibleRuns(hand, wildIndices = [], aceRuns = 'low') {
+        const runs = [];
+        const suitGroups = {};
+        const { ranks, wraps } = getRunRanks(aceRuns);
+        
+        hand.forEach((card, index) => {
+            if (wildIndices.includes(index)) return;
+            if (!suitGroups[card.suit]) suitGroups[card.suit] = {};
+            // One card of each rank is all a run can use
+            if (suitGroups[card.suit][card.rank] === undefined) suitGroups[card.suit][card.rank] = index;
+        });
+        
+        Object.values(suitGroups).forEach(indexByRank => {
+            if (Object.keys(indexByRank).length < 4) return;
+            
+            // Find consecutive sequences from each starting rank, in the order the game lets runs go
+            for (let start = 0; start < ranks.length; start++) {
+                const sequence = [];
+                for (let i = start; sequence.length < RANKS.length && (wraps || i < ranks.length); i++) {
+                    const index = indexByRank[ranks[i % ranks.length]];
+                    if (index === undefined) break;
+                    sequence.push(index);
+                }
+                
+                if (sequence.length >= 4) {
+                    runs.push(sequence);
+                }
+            }
+        });
+        
+        return runs;
+    }
+
+    scoreMeld(cardIndices, type, requirements) {
+        let score = cardIndices.length * 2;
+        
+        // Bonus for meeting round requirements
+        if ((type === 'set' && requirements.sets > 0) || 
+            (type === 'run' && requirements.runs > 0)) {
+            score += 10;
+        }
+        
+        return score;
+    }
+
+    // Discard what leaves the hand closest to the contract with the fewest penalty
+    // points, without handing the next player something they are collecting
+    chooseDiscardCard(game) {
+        const hand = game.playerHands.get(this.name);
+        const choices = hand.map((card, index) => index).filter(index => !game.isWildCard(hand[index]));
+        if (choices.length === 0) return 0;
+        
+        const goneDown = game.hasGoneDown(this.name);
+        const searchLimit = Math.min(SEARCH_LIMIT, Math.floor(DISCARD_SEARCH_BUDGET / choices.length));
+        const scoreDiscard = index => {
+            const card = hand[index];
+            const risk = this.getSettings().watchesNextPlayer ? this.feedRisk(game, card) : 0;
+            
+            if (goneDown) {
+                // Nothing left to plan for: shed points, keeping cards with neighbours
+                const connected = this.evaluateCardValue(card, hand.filter((_, i) => i !== index), null, game) > 0 ? 1 : 0;
+                return [risk, connected, -game.getCardPenalty(card)];
+            }
+            
+            const plan = this.assessHand(game, hand.filter((_, i) => i !== index), searchLimit);
+            return [plan.needed, risk, plan.deadwoodPoints];
+        };
+        
+        const byScore = (a, b) => {
+            for (let i = 0; i < a.score.length; i++) {
+                if (a.score[i] !== b.score[i]) return a.score[i] - b.score[i];
+            }
+            return 0;
+        };
+        
+        return choices.map(index => ({ index, score: scoreDiscard(index) })).sort(byScore)[0].index;
+    }
+
+    // How likely the next player is to want a card, judged from what they have
+    // picked up and thrown away this round and what is on the table
+    feedRisk(game, card) {
+        const nextPlayer = game.players[(game.players.indexOf(this.name) + 1) % game.players.length];
+        if (!nextPlayer || nextPlayer === this.name) return 0;
+        
+        if (game.hasGoneDown(nextPlayer)) {
+            const tableMelds = game.players.flatMap(player => game.playerMelds.get(player) || []);
+            const isWild = c => game.isWildCard(c);
+            if (tableMelds.some(meld => getLayOffPlacement(card, meld, isWild, game.aceRuns))) return 3;
+        }
+        
+        const { taken, discarded } = this.observeRound(game, nextPlayer);
+        if (taken.some(seen => seen.rank === card.rank)) return 2;
+        if (taken.some(seen => seen.suit === card.suit && Math.abs(RANKS.indexOf(seen.rank) - RANKS.indexOf(card.rank)) <= 2)) return 1;
+        if (discarded.some(seen => seen.rank === card.rank)) return -1;
+        return 0;
+    }
+
+    // Cards a player took from or threw on the discard pile since the deal, from the event log
+    observeRound(game, playerName) {
+        const taken = [];
+        const discarded = [];
+        
+        for (let i = game.eventLog.length - 1; i >= 0; i--) {
+            const event = game.eventLog[i];
+            if (event.type === 'deal') break;
+            if (event.player !== playerName || !event.card) continue;
+            
+            const seen = parseDisplay(event.card);
+            if (!seen) continue;
+            if (event.type === 'pickUpDiscard' || event.type === 'buy') taken.push(seen);
+            if (event.type === 'discard') discarded.push(seen);
+        }
+        
+        return { taken, discarded };
+    }
+}
+
+// '10♥' -> { rank: '10', suit: 'hearts' }; jokers carry no rank or suit worth tracking
+function parseDisplay(display) {
+    const suit = SUITS_BY_SYMBOL[display.slice(-1)];
+    return suit ? { rank: display.slice(0, -1), suit } : null;
+}
+
+module.exports = AIPlayer;
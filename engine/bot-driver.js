@@ -0,0 +1,258 @@
+const { BOT_DECISION_TIMEOUT_MS, BOT_MOVE_DELAY_MS, ROUND_BREAK_MS } = require('./constants');
+const { publicCard } = require('./game-view');
+const AIPlayer = require('./ai-player');
+
+// Plays the plug-in bot seats of one game; see bots/README.md for the protocol.
+// A bot is any object with a decide(request) method that answers directly or with a
+// promise - a module from the bots directory, or a program on the far end of a socket.
+//
+// The driver sits where a browser would: it hears the game's prompts, asks the bot,
+// and plays the answer through the same Game methods a human's clicks go through.
+// A bot that is slow, throws or answers with an illegal move is played safe for that
+// decision, and a seat with no bot attached (a socket bot that dropped) is played safe throughout.
+
+// A bot that keeps finding moves is stopped after this many in one turn
+const MAX_BOT_PLAYS_PER_TURN = 30;
+
+const isIndex = value => Number.isInteger(value) && value >= 0;
+
+// What a bot may do between drawing and discarding. Answers use the same fields as the
+// socket events a browser sends for the same move.
+const PLAY_ACTIONS = {
+    goDown: {
+        valid: move => Array.isArray(move.melds),
+        apply: (game, player, move) => game.goDown(player, move.melds),
+        describe: (move, result) => `went down with ${result.melds.map(meld => meld.type).join(', ')}`
+    },
+    makeMeld: {
+        valid: move => Array.isArray(move.cardIndices) && move.cardIndices.every(isIndex)
+            && new Set(move.cardIndices).size === move.cardIndices.length
+            && (move.meldType === 'set' || move.meldType === 'run'),
+        apply: (game, player, move) => game.makeMeld(player, move.cardIndices, move.meldType),
+        describe: (move, result) => `made a ${move.meldType} with ${result.meld.cards.length} cards`
+    },
+    layOffCard: {
+        valid: move => isIndex(move.cardIndex) && isIndex(move.meldIndex) && typeof move.targetPlayer === 'string',
+        apply: (game, player, move) => game.layOffCard(player, move.cardIndex, move.targetPlayer, move.meldIndex),
+        describe: (move, result) => `laid off ${result.card.display} to ${move.targetPlayer}'s meld`
+    },
+    swapWildCard: {
+        valid: move => isIndex(move.cardIndex) && isIndex(move.meldIndex) && typeof move.targetPlayer === 'string',
+        apply: (game, player, move) => game.swapWildCard(player, move.cardIndex, move.targetPlayer, move.meldIndex),
+        describe: (move, result) => `swapped ${result.card.display} for a wild card in ${move.targetPlayer}'s meld`
+    }
+};
+
+class BotDriver {
+    constructor(game, { decisionTimeoutMs = BOT_DECISION_TIMEOUT_MS } = {}) {
+        this.game = game;
+        this.decisionTimeoutMs = decisionTimeoutMs;
+        this.bots = new Map(); // player name -> attached bot
+        this.busy = false; // a bot is part-way through its turn
+        this.checkTimer = null;
+        this.checkDue = 0;
+        this.disposed = false;
+
+        this.listeners = {
+            // Any change at the table may have made it a bot's turn; a new round waits out the break
+            gameEvent: event => this.scheduleCheck(event.type === 'deal' && event.round > 1 ? ROUND_BREAK_MS : BOT_MOVE_DELAY_MS),
+            discardOffer: offer => this.answerDiscardOffer(offer),
+            buyRequest: request => this.answerBuyRequest(request)
+        };
+        Object.entries(this.listeners).forEach(([eventName, listener]) => game.on(eventName, listener));
+
+        // A restored game may already be waiting on a bot
+        this.scheduleCheck();
+    }
+
+    attach(playerName, bot) {
+        this.bots.set(playerName, bot);
+        this.scheduleCheck();
+    }
+
+    // Leave the seat to safe play. Passing the bot only detaches it if it is still the one attached.
+    detach(playerName, bot = null) {
+        if (!bot || this.bots.get(playerName) === bot) this.bots.delete(playerName);
+    }
+
+    dispose() {
+        this.disposed = true;
+        if (this.checkTimer) this.game.clock.clearTimeout(this.checkTimer);
+        this.checkTimer = null;
+        Object.entries(this.listeners).forEach(([eventName, listener]) => this.game.off(eventName, listener));
+        this.bots.clear();
+    }
+
+    isBotSeat(playerName) {
+        return !this.disposed && this.game.botPlayers.has(playerName);
+    }
+
+    // Still `playerName`'s turn in `round`, outside any buy phase
+    isTurnOf(playerName, round) {
+        const game = this.game;
+        return !this.disposed && game.gameStarted && !game.gameComplete && game.currentRound === round &&
+            game.getCurrentPlayer() === playerName && !game.turnState.buyPhase;
+    }
+
+    // Ask a seat's bot for one decision. Resolves to its answer, or to null when the
+    // seat should be played safe instead.
+    ask(playerName, decision, details = {}) {
+        const bot = this.bots.get(playerName);
+        if (!bot) return Promise.resolve(null);
+
+        // A copy, so a local bot can't reach into the game through its request
+        const request = structuredClone({ decision, player: playerName, ...details, state: this.game.getGameState(playerName) });
+
+        return new Promise(resolve => {
+            let timer = null;
+            let answered = false;
+            const settle = (answer, problem) => {
+                if (answered) return;
+                answered = true;
+                this.game.clock.clearTimeout(timer);
+                if (problem) console.log(`Bot ${playerName} ${problem} deciding ${decision} - playing it safe`);
+                resolve(problem ? null : answer);
+            };
+
+            timer = this.game.clock.setTimeout(() => settle(null, `took over ${this.decisionTimeoutMs}ms`), this.decisionTimeoutMs);
+            Promise.resolve()
+                .then(() => bot.decide(request))
+                .then(
+                    answer => answer && typeof answer === 'object' ? settle(answer) : settle(null, 'gave no answer'),
+                    error => settle(null, `failed (${error && error.message})`)
+                );
+        });
+    }
+
+    answerDiscardOffer({ playerName, card }) {
+        if (!this.isBotSeat(playerName)) return;
+
+        this.ask(playerName, 'discardOffer', { card: publicCard(card) }).then(answer => {
+            const { turnState } = this.game;
+            if (this.disposed || !turnState.buyPhase || turnState.buyStage !== 'discardOffer' || this.topDiscard() !== card) return;
+            this.game.handleCurrentPlayerDiscardDecision(playerName, !!answer && answer.wantsDiscard === true);
+        });
+    }
+
+    answerBuyRequest({ playerName, card }) {
+        if (!this.isBotSeat(playerName)) return;
+
+        this.ask(playerName, 'buy', { card: publicCard(card) }).then(answer => {
+            const { turnState } = this.game;
+            if (this.disposed || !turnState.buyPhase || turnState.buyStage !== 'buyRequests' || this.topDiscard() !== card) return;
+            if (turnState.buyRequests.has(playerName)) return;
+            this.game.submitBuyRequest(playerName, !!answer && answer.wantsCard === true);
+        });
+    }
+
+    topDiscard() {
+        return this.game.discardPile[this.game.discardPile.length - 1];
+    }
+
+    // Look for a bot's turn after `delay`. Several requests collapse into the latest one.
+    scheduleCheck(delay = BOT_MOVE_DELAY_MS) {
+        if (this.disposed || this.game.headless) return;
+
+        const due = this.game.clock.now() + delay;
+        if (this.checkTimer) {
+            if (this.checkDue >= due) return;
+            this.game.clock.clearTimeout(this.checkTimer);
+        }
+
+        this.checkDue = due;
+        this.checkTimer = this.game.clock.setTimeout(() => {
+            this.checkTimer = null;
+            this.playTurnIfDue();
+        }, delay);
+    }
+
+    playTurnIfDue() {
+        const playerName = this.game.getCurrentPlayer();
+        if (this.busy || !this.isBotSeat(playerName) || !this.isTurnOf(playerName, this.game.currentRound)) return;
+        this.playTurn(playerName);
+    }
+
+    async playTurn(playerName) {
+        const round = this.game.currentRound;
+        this.busy = true;
+        try {
+            if (!this.game.turnState.hasDrawn) await this.draw(playerName, round);
+            if (!this.isTurnOf(playerName, round) || !this.game.turnState.hasDrawn) return;
+
+            const wentOut = await this.play(playerName, round);
+            if (wentOut || !this.isTurnOf(playerName, round)) return;
+
+            await this.discard(playerName, round);
+        } finally {
+            this.busy = false;
+            this.scheduleCheck();
+        }
+    }
+
+    async draw(playerName, round) {
+        const answer = await this.ask(playerName, 'draw');
+        if (!this.isTurnOf(playerName, round) || this.game.turnState.hasDrawn) return;
+
+        if (answer && answer.source === 'discard') {
+            const result = this.game.pickUpDiscard(playerName);
+            if (result.success) {
+                this.game.announce(`${playerName} picked up the ${result.card.display} from discard pile`);
+                this.game.notifyUpdate();
+                return;
+            }
+            console.log(`Bot ${playerName} couldn't pick up the discard (${result.message}) - drawing instead`);
+        }
+
+        const result = this.game.drawCard(playerName);
+        if (result.success) {
+            this.game.announce(`${playerName} drew a card`);
+            this.game.notifyUpdate();
+        }
+    }
+
+    // Play moves until the bot is done. True if it went out.
+    async play(playerName, round) {
+        for (let plays = 0; plays < MAX_BOT_PLAYS_PER_TURN; plays++) {
+            const move = await this.ask(playerName, 'play');
+            if (!this.isTurnOf(playerName, round) || !move || move.action === 'done') return false;
+
+            const action = PLAY_ACTIONS[move.action];
+            if (!action || !action.valid(move)) {
+                console.log(`Bot ${playerName} sent a malformed ${move.action} - ending its plays`);
+                return false;
+            }
+
+            const result = action.apply(this.game, playerName, move);
+            if (!result.success) {
+                console.log(`Bot ${playerName} tried an illegal ${move.action} (${result.message}) - ending its plays`);
+                return false;
+            }
+
+            this.game.announce(`${playerName} ${action.describe(move, result)}`);
+            this.game.notifyUpdate();
+            if (result.roundEnded) {
+                this.game.handleRoundEnd(result.roundResult);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async discard(playerName, round) {
+        const answer = await this.ask(playerName, 'discard');
+        if (!this.isTurnOf(playerName, round)) return;
+
+        let result = answer && isIndex(answer.cardIndex) ? this.game.discardCard(playerName, answer.cardIndex) : null;
+        if (!result || !result.success) {
+            if (answer) console.log(`Bot ${playerName} sent an unplayable discard${result ? ` (${result.message})` : ''} - discarding for it`);
+            result = this.game.discardCard(playerName, new AIPlayer(playerName).chooseDiscardCard(this.game));
+        }
+        if (!result.success) return;
+
+        this.game.announce(`${playerName} discarded ${result.card.display}`);
+        this.game.notifyUpdate();
+        if (result.roundEnded) this.game.handleRoundEnd(result.roundResult);
+    }
+}
+
+module.exports = BotDriver;
@@ -0,0 +1,36 @@
+const { RANKS, SUIT_SYMBOLS } = require('./constants');
+
+class Card {
+    constructor(suit, rank) {
+        this.suit = suit;
+        this.rank = rank;
+        this.value = this.getCardValue(rank);
+        this.display = this.getDisplayString();
+        this.color = (suit === 'hearts' || suit === 'diamonds') ? 'red' : 'black';
+        this.represents = null; // Set when a wild card is placed in a meld
+    }
+
+    // Position of the rank in a run (A=1 ... K=13). Games that also play aces
+    // high or around the corner place them in melds.js.
+    getCardValue(rank) {
+        if (rank === 'JOKER') return 0;
+        return RANKS.indexOf(rank) + 1;
+    }
+
+    getDisplayString() {
+        if (this.isJoker()) return '🃏';
+        return this.rank + SUIT_SYMBOLS[this.suit];
+    }
+
+    isJoker() {
+        return this.rank === 'JOKER';
+    }
+
+    static fromJSON(data) {
+        const card = new Card(data.suit, data.rank);
+        card.represents = data.represents || null;
+        return card;
+    }
+}
+
+module.exports = Card;
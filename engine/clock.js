@@ -0,0 +1,54 @@
+// The engine reads the time and arms every timer through a clock, so tests and
+// simulations can swap in their own and step through buy phases and AI turns.
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+// A clock that only moves when told to. Timers run in the order they fall due with no
+// real waiting, so a simulation plays a whole game as fast as the AI can think.
+function createVirtualClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map(); // id -> { at, callback }
+
+    // Jump to the next timer due by `until` and run it. False once nothing more is due.
+    function runNext(until = Infinity) {
+        let nextTimer = null;
+        timers.forEach((timer, id) => {
+            if (!nextTimer || timer.at < nextTimer.at || (timer.at === nextTimer.at && id < nextTimer.id)) {
+                nextTimer = { id, ...timer };
+            }
+        });
+        if (!nextTimer || nextTimer.at > until) return false;
+
+        timers.delete(nextTimer.id);
+        now = nextTimer.at;
+        nextTimer.callback();
+        return true;
+    }
+
+    return {
+        now: () => now,
+        setTimeout: (callback, delay) => {
+            const id = nextId++;
+            timers.set(id, { at: now + Math.max(0, delay || 0), callback });
+            return id;
+        },
+        clearTimeout: (id) => timers.delete(id),
+        pending: () => timers.size,
+        runNext,
+        // Move time on by `ms`, running every timer that falls due on the way
+        advance(ms) {
+            const until = now + ms;
+            while (runNext(until));
+            now = until;
+        }
+    };
+}
+
+module.exports = {
+    systemClock,
+    createVirtualClock
+};
@@ -0,0 +1,95 @@
+// Rules constants shared across the engine
+
+// Round requirements for 7-round Slattery Shanghai
+const ROUND_REQUIREMENTS = [
+    { round: 1, melds: "2 Sets of 3", description: "Two sets of three cards each", sets: 2, runs: 0, minSetSize: 3, minRunSize: 0 },
+    { round: 2, melds: "1 Set of 3 + 1 Run of 4", description: "One set of three and one run of four", sets: 1, runs: 1, minSetSize: 3, minRunSize: 4 },
+    { round: 3, melds: "2 Runs of 4", description: "Two runs of four cards each", sets: 0, runs: 2, minSetSize: 0, minRunSize: 4 },
+    { round: 4, melds: "3 Sets of 3", description: "Three sets of three cards each", sets: 3, runs: 0, minSetSize: 3, minRunSize: 0 },
+    { round: 5, melds: "2 Sets of 3 + 1 Run of 4", description: "Two sets of three and one run of four", sets: 2, runs: 1, minSetSize: 3, minRunSize: 4 },
+    { round: 6, melds: "1 Set of 3 + 2 Runs of 4", description: "One set of three and two runs of four", sets: 1, runs: 2, minSetSize: 3, minRunSize: 4 },
+    { round: 7, melds: "3 Runs of 4", description: "Three runs of four cards each", sets: 0, runs: 3, minSetSize: 0, minRunSize: 4 }
+];
+
+// Wild card variants offered at game creation
+const WILD_CARD_OPTIONS = ['none', 'jokers', 'deuces', 'jokersAndDeuces'];
+const JOKERS_PER_DECK = 2;
+
+// Where an ace may sit in a run: below the 2 only, above the king as well,
+// or anywhere with runs turning the corner (Q-K-A-2)
+const ACE_RUN_OPTIONS = ['low', 'highOrLow', 'wrap'];
+
+// Penalty points for wild cards still in hand when a round ends
+const WILD_SCORE_VALUES = {
+    joker: 50,
+    deuce: 25
+};
+
+const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+const SUIT_SYMBOLS = {
+    hearts: '♥',
+    diamonds: '♦',
+    clubs: '♣',
+    spades: '♠'
+};
+
+// Seats at one table, counting AI and bot players. The rules may allow fewer: see Game#seatCapacity.
+const MAX_PLAYERS = 8;
+
+// Longest player name, so a name can't flood the table or the logs
+const MAX_NAME_LENGTH = 20;
+
+// A bot's seat is named Bot-<bot name>, with -2, -3... on copies, and has to fit MAX_NAME_LENGTH too
+const MAX_BOT_NAME_LENGTH = MAX_NAME_LENGTH - 'Bot-'.length - `-${MAX_PLAYERS}`.length;
+
+// How long a dropped player's seat is held before they are removed from the game
+const RECONNECT_GRACE_MS = 2 * 60 * 1000;
+
+// How long players get to answer a discard offer or buy request
+const BUY_TIME_LIMIT_MS = 10000;
+
+// Pause between a round ending and the next one getting under way
+const ROUND_BREAK_MS = 2000;
+
+// How long a player has for a whole turn, from drawing to discarding, before the
+// server plays it for them. House rules can change it, or turn the clock off with 0.
+const TURN_TIME_LIMIT_MS = 90000;
+
+// Turns in a row a player can run out of time before an AI takes over their seat
+const IDLE_TURNS_BEFORE_AUTOPILOT = 2;
+
+// How long a plug-in bot gets to answer before it is played safe for that decision,
+// and the pause between its moves so the table can follow along
+const BOT_DECISION_TIMEOUT_MS = 5000;
+const BOT_MOVE_DELAY_MS = 750;
+
+// AI strength tiers, weakest first (see DIFFICULTY_SETTINGS in ai-player.js)
+const AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// AI player names
+const AI_NAMES = [
+    'AI-Emma', 'AI-Oliver', 'AI-Sofia', 'AI-Lucas', 'AI-Grace',
+    'AI-Henry', 'AI-Chloe', 'AI-Jack', 'AI-Maya', 'AI-Leo'
+];
+
+module.exports = {
+    ROUND_REQUIREMENTS,
+    WILD_CARD_OPTIONS,
+    JOKERS_PER_DECK,
+    ACE_RUN_OPTIONS,
+    WILD_SCORE_VALUES,
+    RANKS,
+    SUIT_SYMBOLS,
+    MAX_PLAYERS,
+    MAX_NAME_LENGTH,
+    MAX_BOT_NAME_LENGTH,
+    RECONNECT_GRACE_MS,
+    BUY_TIME_LIMIT_MS,
+    TURN_TIME_LIMIT_MS,
+    IDLE_TURNS_BEFORE_AUTOPILOT,
+    ROUND_BREAK_MS,
+    BOT_DECISION_TIMEOUT_MS,
+    BOT_MOVE_DELAY_MS,
+    AI_DIFFICULTIES,
+    AI_NAMES
+};
@@ -0,0 +1,79 @@
+const Card = require('./card');
+const { RANKS } = require('./constants');
+const { SeededRandom } = require('./random');
+
+class Deck {
+    constructor(options = {}) {
+        this.jokersPerDeck = options.jokersPerDeck || 0;
+        this.decks = options.decks || 2;
+        this.cards = [];
+        
+        // Without a seed the deck falls back to Math.random()
+        this.random = null;
+        if (options.rngState !== undefined) {
+            this.random = new SeededRandom(null, options.rngState);
+        } else if (options.seed !== undefined) {
+            this.random = new SeededRandom(options.seed);
+        }
+        
+        if (options.cards) {
+            // Restoring a saved deck - keep its order
+            this.cards = options.cards;
+        } else {
+            this.initializeDeck();
+            this.shuffle();
+        }
+    }
+
+    toJSON() {
+        return {
+            jokersPerDeck: this.jokersPerDeck,
+            decks: this.decks,
+            rngState: this.random ? this.random.state : undefined,
+            cards: this.cards
+        };
+    }
+
+    static fromJSON(data) {
+        return new Deck({
+            jokersPerDeck: data.jokersPerDeck,
+            decks: data.decks,
+            rngState: data.rngState,
+            cards: data.cards.map(card => Card.fromJSON(card))
+        });
+    }
+
+    initializeDeck() {
+        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
+        
+        // Shanghai is played with 2 decks unless the house rules say otherwise
+        for (let deckNum = 0; deckNum < this.decks; deckNum++) {
+            for (let suit of suits) {
+                for (let rank of RANKS) {
+                    this.cards.push(new Card(suit, rank));
+                }
+            }
+            for (let i = 0; i < this.jokersPerDeck; i++) {
+                this.cards.push(new Card('joker', 'JOKER'));
+            }
+        }
+    }
+
+    shuffle() {
+        const random = this.random ? () => this.random.next() : Math.random;
+        for (let i = this.cards.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
+        }
+    }
+
+    deal() {
+        return this.cards.pop();
+    }
+
+    isEmpty() {
+        return this.cards.length === 0;
+    }
+}
+
+module.exports = Deck;
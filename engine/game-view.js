@@ -0,0 +1,149 @@
+// What one seat is allowed to see of a game. Everything a client receives about the
+// table goes through here, so hidden information (other hands, the deck, who has
+// asked to buy, timers) never leaves the server.
+
+// Plain copy of a card, so nothing added to Card later leaks by accident
+function publicCard(card) {
+    return {
+        suit: card.suit,
+        rank: card.rank,
+        value: card.value,
+        display: card.display,
+        color: card.color,
+        represents: card.represents ? { ...card.represents } : null
+    };
+}
+
+function publicMeld(meld) {
+    return {
+        type: meld.type,
+        cards: meld.cards.map(publicCard)
+    };
+}
+
+// Where the current turn is, as plain data. Buy requests stay secret until the
+// buy resolves; the viewer only learns whether they have answered themselves.
+function describeTurnPhase(game, viewer) {
+    const { hasDrawn, wentDown, buyPhase, buyStage, buyDeadline, buyRequests, turnDeadline, tableActions } = game.turnState;
+
+    let stage;
+    if (game.gameComplete) stage = 'gameOver';
+    else if (!game.gameStarted) stage = 'lobby';
+    else if (buyPhase) stage = buyStage;
+    else stage = hasDrawn ? 'play' : 'draw';
+
+    const phase = {
+        stage,
+        currentPlayer: game.gameStarted ? game.getCurrentPlayer() : null,
+        hasDrawn: !!hasDrawn,
+        wentDown: !!wentDown,
+        buyDeadline: buyPhase ? buyDeadline || null : null,
+        turnDeadline: buyPhase ? null : turnDeadline || null,
+        // Only the player whose turn it is can take back what they did this turn
+        canUndo: (stage === 'play' || stage === 'draw') && viewer === game.getCurrentPlayer() && (tableActions || []).length > 0
+    };
+
+    if (stage === 'buyRequests') {
+        phase.myBuyRequest = buyRequests.has(viewer) ? buyRequests.get(viewer) : null;
+    }
+
+    return phase;
+}
+
+// The part of the table everyone watching may see
+function projectTable(game) {
+    const allPlayerMelds = {};
+    game.players.forEach(player => {
+        allPlayerMelds[player] = (game.playerMelds.get(player) || []).map(publicMeld);
+    });
+
+    const discardTop = game.discardPile.length > 0 ? game.discardPile[game.discardPile.length - 1] : null;
+
+    return {
+        gameCode: game.gameCode,
+        players: [...game.players],
+        currentPlayer: game.getCurrentPlayer(),
+        currentRound: game.currentRound,
+        roundRequirements: game.getRoundRequirements(),
+        allPlayerMelds,
+        playersDown: game.players.filter(player => game.hasGoneDown(player)),
+        discardTop: discardTop ? publicCard(discardTop) : null,
+        // Round scores are announced to the whole table when each round ends
+        scores: Object.fromEntries(game.players.map(player => [player, [...(game.playerScores.get(player) || [])]])),
+        gameStarted: game.gameStarted,
+        wildCards: game.wildCards,
+        aceRuns: game.aceRuns,
+        rules: game.rules,
+        openHands: game.openHands,
+        takeoverDifficulty: game.takeoverDifficulty,
+        isPublic: game.isPublic,
+        handCounts: Object.fromEntries(
+            game.players.map(player => [player, game.playerHands.get(player)?.length || 0])
+        ),
+        hostName: game.hostName,
+        aiPlayers: Array.from(game.aiPlayers.keys()),
+        aiDifficulties: Object.fromEntries(Array.from(game.aiPlayers.values()).map(ai => [ai.name, ai.difficulty])),
+        botPlayers: Array.from(game.botPlayers.keys()),
+        autopilotPlayers: Array.from(game.autopilot.keys()),
+        disconnectedPlayers: Array.from(game.disconnectedPlayers.keys())
+    };
+}
+
+function projectGameState(game, viewer) {
+    const table = projectTable(game);
+
+    return {
+        ...table,
+        hand: (game.playerHands.get(viewer) || []).map(publicCard),
+        melds: table.allPlayerMelds[viewer] || [],
+        buysRemaining: game.playerBuys.get(viewer) || 0,
+        hasGoneDown: game.hasGoneDown(viewer),
+        turnPhase: describeTurnPhase(game, viewer),
+        isHost: viewer === game.hostName
+    };
+}
+
+// Someone watching without a seat. With open hands on, every hand is face up.
+function projectSpectatorState(game) {
+    const state = {
+        ...projectTable(game),
+        turnPhase: describeTurnPhase(game, null),
+        spectator: true
+    };
+
+    if (game.openHands) {
+        state.hands = Object.fromEntries(
+            game.players.map(player => [player, (game.playerHands.get(player) || []).map(publicCard)])
+        );
+    }
+
+    return state;
+}
+
+// A table waiting in the public lobby, as anyone browsing for a game sees it
+function projectListing(game) {
+    return {
+        gameCode: game.gameCode,
+        hostName: game.hostName,
+        seats: game.players.length,
+        maxSeats: game.seatCapacity(),
+        aiCount: game.aiPlayers.size,
+        botCount: game.botPlayers.size,
+        rules: {
+            wildCards: game.wildCards,
+            aceRuns: game.aceRuns,
+            rounds: game.rules.rounds.length,
+            buysPerRound: game.rules.buysPerRound,
+            decks: game.rules.decks,
+            turnTimeLimitMs: game.rules.turnTimeLimitMs
+        }
+    };
+}
+
+module.exports = {
+    publicCard,
+    describeTurnPhase,
+    projectGameState,
+    projectSpectatorState,
+    projectListing
+};
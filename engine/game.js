@@ -0,0 +1,1935 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const {
+    WILD_CARD_OPTIONS,
+    ACE_RUN_OPTIONS,
+    JOKERS_PER_DECK,
+    MAX_PLAYERS,
+    RECONNECT_GRACE_MS,
+    ROUND_BREAK_MS,
+    IDLE_TURNS_BEFORE_AUTOPILOT,
+    AI_DIFFICULTIES,
+    AI_NAMES
+} = require('./constants');
+const { generateSeed } = require('./random');
+const { DEFAULT_RULES, validateRules, cardsDealtForRound } = require('./rules');
+const { systemClock } = require('./clock');
+const Card = require('./card');
+const Deck = require('./deck');
+const AIPlayer = require('./ai-player');
+const melds = require('./melds');
+const scoring = require('./scoring');
+const gameView = require('./game-view');
+
+// The rules engine for one table. It knows nothing about sockets: anything players
+// need to see is emitted as an event for a transport adapter to deliver.
+//
+// Events:
+//   'message' (text)                          - table announcement
+//   'update'                                  - every seat's view has changed
+//   'discardOffer' { playerName, card, timeLimit } - current player may take the discard
+//   'buyRequest' { playerName, card, timeLimit }   - another player may buy the discard
+//   'roundEnded' (roundResult)                - someone went out
+//   'seatExpired' (playerName)                - a dropped player didn't come back in time
+//   'stateChanged'                            - state worth saving has changed
+//   'gameEvent' (event)                       - an entry was added to the event log
+class Game extends EventEmitter {
+    constructor(gameCode, hostName, aiCount = 0, options = {}) {
+        super();
+        this.gameCode = gameCode;
+        this.wildCards = WILD_CARD_OPTIONS.includes(options.wildCards) ? options.wildCards : 'none';
+        this.aceRuns = ACE_RUN_OPTIONS.includes(options.aceRuns) ? options.aceRuns : 'low';
+        // Callers validate rules first so they can report problems; anything invalid here plays by the defaults
+        const checkedRules = validateRules(options.rules);
+        this.rules = checkedRules.success ? checkedRules.rules : DEFAULT_RULES;
+        this.openHands = false; // spectators see every hand, for teaching
+        this.takeoverDifficulty = null; // AI difficulty that plays a departed player's seat, or null to remove the seat
+        this.isPublic = !!options.isPublic; // listed in the public lobby; private games are joined by code only
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== '' ? String(options.seed) : generateSeed();
+        this.players = []; // seat order, by display name - unique within a game
+        this.playerIds = new Map(); // player name -> ID naming their seat for the whole game
+        this.playerProfiles = new Map(); // player name -> profile ID their lifetime stats are kept under
+        this.aiPlayers = new Map(); // Store AI player instances
+        this.botPlayers = new Map(); // player name -> bots directory module, or null for a socket bot
+        this.autopilot = new Map(); // idle player name -> AIPlayer playing for them until they come back
+        this.idleTurns = new Map(); // player name -> turns in a row their clock ran out
+        this.playerHands = new Map();
+        this.playerMelds = new Map();
+        this.playerBuys = new Map();
+        this.playerGoneDown = new Map(); // player name -> has laid down this round's contract
+        this.playerScores = new Map();
+        this.currentRound = 1;
+        this.currentPlayerIndex = 0;
+        this.deck = null;
+        this.discardPile = [];
+        this.gameStarted = false;
+        this.hostName = hostName;
+        this.gameComplete = false;
+        this.sessionTokens = new Map(); // session token -> player name
+        this.disconnectedPlayers = new Map(); // player name -> grace period timer
+        this.eventLog = [];
+        this.headless = false; // true while replaying or once disposed - no prompts, timers or saving
+        this.clock = options.clock || systemClock;
+        this.roundBreakTimer = null;
+        this.turnState = {
+            hasDrawn: false,
+            wentDown: false,
+            canBuy: true,
+            tableActions: []
+        };
+        
+        this.recordEvent('gameCreated', { gameCode, hostName, wildCards: this.wildCards, aceRuns: this.aceRuns, rules: this.rules, seed: this.seed });
+        
+        // Add AI players, up to the cap
+        for (let i = 0; i < Math.min(aiCount, this.maxAISeats()); i++) {
+            const difficulty = AI_DIFFICULTIES[Math.floor(Math.random() * AI_DIFFICULTIES.length)];
+            this.addAIPlayer(this.nextAIName(), difficulty);
+        }
+    }
+
+    // The first name from AI_NAMES not yet at the table; past the end of the list they repeat as Name-2, Name-3...
+    nextAIName() {
+        for (let i = 0; ; i++) {
+            const aiName = AI_NAMES[i % AI_NAMES.length] + (Math.floor(i / AI_NAMES.length) > 0 ? `-${Math.floor(i / AI_NAMES.length) + 1}` : '');
+            if (!this.players.includes(aiName)) return aiName;
+        }
+    }
+
+    // Every action is logged with a sequence number so a game can be checked and replayed later
+    recordEvent(type, data = {}) {
+        const event = {
+            seq: this.eventLog.length,
+            type,
+            timestamp: this.clock.now(),
+            ...data
+        };
+        this.eventLog.push(event);
+        this.emit('gameEvent', event);
+        return event;
+    }
+
+    // Rebuild the game as it stood right after the event with sequence number `upToSeq`.
+    // The seed reproduces every deal and reshuffle, so only player actions are re-applied.
+    static replay(eventLog, upToSeq = eventLog.length - 1) {
+        const created = eventLog[0];
+        const game = new Game(created.gameCode, created.hostName, 0, { wildCards: created.wildCards, aceRuns: created.aceRuns, rules: created.rules, seed: created.seed });
+        game.headless = true;
+        
+        eventLog.slice(1, upToSeq + 1).forEach(event => {
+            const apply = REPLAY_ACTIONS[event.type];
+            if (apply) apply(game, event);
+        });
+        
+        return game;
+    }
+
+    // Public tables waiting for players, fullest first
+    static openTables(games) {
+        return Array.from(games)
+            .filter(game => game.isOpenToPublic())
+            .sort((a, b) => b.players.length - a.players.length);
+    }
+
+    recordedDeckOrder() {
+        return this.deck.cards.map(card => ({ suit: card.suit, rank: card.rank }));
+    }
+
+    toJSON() {
+        const { hasDrawn, wentDown, canBuy, buyPhase, buyStage, buyDeadline, buyRequests, turnDeadline, tableActions } = this.turnState;
+        
+        return {
+            gameCode: this.gameCode,
+            hostName: this.hostName,
+            wildCards: this.wildCards,
+            aceRuns: this.aceRuns,
+            rules: this.rules,
+            openHands: this.openHands,
+            takeoverDifficulty: this.takeoverDifficulty,
+            isPublic: this.isPublic,
+            seed: this.seed,
+            players: this.players,
+            playerIds: Object.fromEntries(this.playerIds),
+            playerProfiles: Object.fromEntries(this.playerProfiles),
+            aiPlayers: Array.from(this.aiPlayers.values()).map(ai => ({ name: ai.name, difficulty: ai.difficulty })),
+            botPlayers: Object.fromEntries(this.botPlayers),
+            autopilot: Array.from(this.autopilot.values()).map(ai => ({ name: ai.name, difficulty: ai.difficulty })),
+            idleTurns: Object.fromEntries(this.idleTurns),
+            playerHands: Object.fromEntries(this.playerHands),
+            playerMelds: Object.fromEntries(this.playerMelds),
+            playerBuys: Object.fromEntries(this.playerBuys),
+            playerGoneDown: Object.fromEntries(this.playerGoneDown),
+            playerScores: Object.fromEntries(this.playerScores),
+            currentRound: this.currentRound,
+            currentPlayerIndex: this.currentPlayerIndex,
+            deck: this.deck,
+            discardPile: this.discardPile,
+            gameStarted: this.gameStarted,
+            gameComplete: this.gameComplete,
+            sessionTokens: Array.from(this.sessionTokens.entries()),
+            eventLog: this.eventLog,
+            turnState: {
+                hasDrawn,
+                wentDown: !!wentDown,
+                canBuy,
+                buyPhase: !!buyPhase,
+                buyStage: buyStage || null,
+                buyDeadline: buyDeadline || null,
+                buyRequests: buyRequests ? Array.from(buyRequests.entries()) : [],
+                turnDeadline: turnDeadline || null,
+                tableActions: tableActions || []
+            }
+        };
+    }
+
+    static fromJSON(data) {
+        const game = new Game(data.gameCode, data.hostName, 0, { wildCards: data.wildCards, aceRuns: data.aceRuns, rules: data.rules, seed: data.seed, isPublic: data.isPublic });
+        const cardsFrom = list => list.map(card => Card.fromJSON(card));
+        const meldsFrom = melds => melds.map(meld => ({ type: meld.type, cards: cardsFrom(meld.cards) }));
+        
+        game.openHands = !!data.openHands;
+        game.takeoverDifficulty = AI_DIFFICULTIES.includes(data.takeoverDifficulty) ? data.takeoverDifficulty : null;
+        game.players = [...data.players];
+        // Snapshots from before seats had IDs get fresh ones
+        game.players.forEach(player => game.playerIds.set(player, (data.playerIds && data.playerIds[player]) || uuidv4()));
+        Object.entries(data.playerProfiles || {}).forEach(([player, profileId]) => game.playerProfiles.set(player, profileId));
+        data.aiPlayers.forEach(ai => game.aiPlayers.set(ai.name, new AIPlayer(ai.name, ai.difficulty)));
+        Object.entries(data.botPlayers || {}).forEach(([player, botName]) => game.botPlayers.set(player, botName));
+        // Older snapshots list autopilot seats by name only
+        (data.autopilot || []).forEach(ai => {
+            const { name, difficulty } = typeof ai === 'string' ? { name: ai, difficulty: 'medium' } : ai;
+            game.autopilot.set(name, new AIPlayer(name, difficulty));
+        });
+        Object.entries(data.idleTurns || {}).forEach(([player, turns]) => game.idleTurns.set(player, turns));
+        Object.entries(data.playerHands).forEach(([player, hand]) => game.playerHands.set(player, cardsFrom(hand)));
+        Object.entries(data.playerMelds).forEach(([player, melds]) => game.playerMelds.set(player, meldsFrom(melds)));
+        Object.entries(data.playerBuys).forEach(([player, buys]) => game.playerBuys.set(player, buys));
+        // Snapshots from before going down was tracked: anyone with melds on the table is down
+        game.players.forEach(player => {
+            const goneDown = data.playerGoneDown ? !!data.playerGoneDown[player] : game.playerMelds.get(player)?.length > 0;
+            game.playerGoneDown.set(player, goneDown);
+        });
+        Object.entries(data.playerScores).forEach(([player, scores]) => game.playerScores.set(player, [...scores]));
+        game.currentRound = data.currentRound;
+        game.currentPlayerIndex = data.currentPlayerIndex;
+        game.deck = data.deck ? Deck.fromJSON(data.deck) : null;
+        game.discardPile = cardsFrom(data.discardPile);
+        game.gameStarted = data.gameStarted;
+        game.gameComplete = !!data.gameComplete;
+        game.sessionTokens = new Map(data.sessionTokens);
+        game.eventLog = data.eventLog || [];
+        game.turnState = {
+            ...data.turnState,
+            buyRequests: new Map(data.turnState.buyRequests),
+            tableActions: (data.turnState.tableActions || []).map(action => ({
+                ...action,
+                hand: cardsFrom(action.hand),
+                melds: Object.fromEntries(Object.entries(action.melds).map(([player, list]) => [player, meldsFrom(list)]))
+            })),
+            buyTimer: null,
+            turnTimer: null
+        };
+        
+        return game;
+    }
+
+    // Pick up where a restored game left off: re-arm the buy phase, the AI's turn or the turn clock
+    resumeAfterRestore() {
+        if (!this.gameStarted) return;
+        
+        if (this.turnState.buyPhase) {
+            const remaining = Math.max(0, (this.turnState.buyDeadline || 0) - this.clock.now());
+            console.log(`Re-arming ${this.turnState.buyStage} for game ${this.gameCode} with ${remaining}ms left`);
+            
+            if (this.turnState.buyStage === 'buyRequests') {
+                this.requestBuys(remaining);
+            } else {
+                this.offerDiscardToCurrentPlayer(remaining);
+            }
+        } else if (this.aiFor(this.getCurrentPlayer())) {
+            this.scheduleAITurn();
+        } else if (this.turnState.turnDeadline) {
+            this.startTurnClock(Math.max(0, this.turnState.turnDeadline - this.clock.now()));
+        } else {
+            this.startTurnClock();
+        }
+    }
+
+    // Let a store know there is something worth saving
+    markChanged() {
+        if (!this.headless) this.emit('stateChanged');
+    }
+
+    addAIPlayer(aiName, difficulty, playerId = uuidv4()) {
+        const aiPlayer = new AIPlayer(aiName, difficulty);
+        
+        this.players.push(aiName);
+        this.playerIds.set(aiName, playerId);
+        this.aiPlayers.set(aiName, aiPlayer);
+        this.playerScores.set(aiName, Array(this.rules.rounds.length).fill(0));
+        this.recordEvent('playerJoined', { player: aiName, playerId, isAI: true, difficulty });
+        console.log(`Added AI player: ${aiName} (${difficulty})`);
+    }
+
+    // A seat played by a plug-in bot through a BotDriver (see bot-driver.js)
+    addBotPlayer(playerName, botName = null, playerId = uuidv4()) {
+        if (this.players.includes(playerName)) return false;
+        
+        this.players.push(playerName);
+        this.playerIds.set(playerName, playerId);
+        this.botPlayers.set(playerName, botName);
+        this.playerScores.set(playerName, Array(this.rules.rounds.length).fill(0));
+        this.recordEvent('playerJoined', { player: playerName, playerId, isBot: true, bot: botName });
+        this.markChanged();
+        console.log(`Added bot player: ${playerName}${botName ? ` (${botName})` : ''}`);
+        return true;
+    }
+
+    addPlayer(playerName, playerId = uuidv4()) {
+        if (!this.players.includes(playerName)) {
+            this.players.push(playerName);
+            this.playerIds.set(playerName, playerId);
+            this.playerScores.set(playerName, Array(this.rules.rounds.length).fill(0));
+            this.recordEvent('playerJoined', { player: playerName, playerId, isAI: false });
+            this.markChanged();
+            return true;
+        }
+        return false;
+    }
+
+    removePlayer(playerName) {
+        const index = this.players.indexOf(playerName);
+        if (index > -1) {
+            const wasTheirTurn = this.gameStarted && !this.gameComplete && index === this.currentPlayerIndex;
+            this.markReconnected(playerName);
+            if (wasTheirTurn) this.abandonTurn();
+            this.players.splice(index, 1);
+            this.playerIds.delete(playerName);
+            this.playerProfiles.delete(playerName);
+            this.playerHands.delete(playerName);
+            this.playerMelds.delete(playerName);
+            this.playerBuys.delete(playerName);
+            this.playerGoneDown.delete(playerName);
+            this.playerScores.delete(playerName);
+            this.aiPlayers.delete(playerName);
+            this.botPlayers.delete(playerName);
+            this.autopilot.delete(playerName);
+            this.idleTurns.delete(playerName);
+            for (const [token, name] of this.sessionTokens) {
+                if (name === playerName) this.sessionTokens.delete(token);
+            }
+            this.recordEvent('playerLeft', { player: playerName });
+            if (playerName === this.hostName) this.handOverHost();
+            
+            // Keep the index on whoever was playing. If it was the departed player's turn,
+            // it passes to the next seat, which now sits at their old index.
+            if (index < this.currentPlayerIndex) this.currentPlayerIndex--;
+            if (this.players.length > 0) {
+                if (wasTheirTurn) {
+                    this.currentPlayerIndex = (index - 1 + this.players.length) % this.players.length;
+                    this.nextTurn();
+                } else {
+                    this.currentPlayerIndex %= this.players.length;
+                }
+            }
+            this.markChanged();
+            return true;
+        }
+        return false;
+    }
+
+    // Stop the clocks on a turn nobody will finish
+    abandonTurn() {
+        if (this.turnState.buyTimer) {
+            this.clock.clearTimeout(this.turnState.buyTimer);
+            this.turnState.buyTimer = null;
+        }
+        this.clearTurnClock();
+    }
+
+    // A player left for good. Mid-game, the AI takes their seat if the host chose a
+    // difficulty for it; otherwise (and in the lobby) the seat goes.
+    leaveTable(playerName) {
+        if (this.gameStarted && !this.gameComplete && this.takeoverDifficulty) {
+            return this.takeOverSeat(playerName, this.takeoverDifficulty);
+        }
+        return this.removePlayer(playerName);
+    }
+
+    // The AI plays a departed player's hand, melds, buys and scores until they reclaim
+    // the seat with their session token (see resumeControl).
+    takeOverSeat(playerName, difficulty) {
+        if (!this.players.includes(playerName) || this.aiPlayers.has(playerName) || this.botPlayers.has(playerName)) return false;
+        
+        this.markReconnected(playerName);
+        this.idleTurns.delete(playerName);
+        this.autopilot.set(playerName, new AIPlayer(playerName, difficulty));
+        this.recordEvent('autopilot', { player: playerName, enabled: true, difficulty });
+        this.markChanged();
+        this.announce(`🤖 ${playerName} left - the AI (${difficulty}) is playing their seat`);
+        if (playerName === this.hostName) this.handOverHost();
+        
+        // Mid-turn, the AI picks up where they left off; a buy phase comes back to it on its own
+        if (this.gameStarted && this.getCurrentPlayer() === playerName && !this.turnState.buyPhase) {
+            this.clearTurnClock();
+            this.scheduleAITurn();
+        }
+        this.notifyUpdate();
+        return true;
+    }
+
+    // Which AI, if any, takes over the seats of players who leave mid-game
+    setTakeoverDifficulty(difficulty) {
+        if (difficulty !== null && !AI_DIFFICULTIES.includes(difficulty)) {
+            return { success: false, message: `Difficulty must be one of ${AI_DIFFICULTIES.join(', ')}` };
+        }
+        if (this.takeoverDifficulty === difficulty) return { success: true };
+        
+        this.takeoverDifficulty = difficulty;
+        this.markChanged();
+        this.announce(difficulty ? `🤖 The AI (${difficulty}) will play for anyone who leaves` : '🚪 Players who leave give up their seat');
+        this.notifyUpdate();
+        return { success: true };
+    }
+
+    // Lobby controls for the host. Seats can only change before the deal.
+
+    addAISeat(difficulty) {
+        if (this.gameStarted) return { success: false, message: 'Game already started' };
+        if (!this.hasOpenSeat()) return { success: false, message: 'Game is full' };
+        if (this.aiPlayers.size >= this.maxAISeats()) return { success: false, message: `A game can have at most ${this.maxAISeats()} AI players` };
+        if (!AI_DIFFICULTIES.includes(difficulty)) {
+            return { success: false, message: `Difficulty must be one of ${AI_DIFFICULTIES.join(', ')}` };
+        }
+        
+        const aiName = this.nextAIName();
+        this.addAIPlayer(aiName, difficulty);
+        this.markChanged();
+        return { success: true, playerName: aiName };
+    }
+
+    setAIDifficulty(playerName, difficulty) {
+        if (this.gameStarted) return { success: false, message: 'Game already started' };
+        if (!this.aiPlayers.has(playerName)) return { success: false, message: `${playerName} is not an AI player` };
+        if (!AI_DIFFICULTIES.includes(difficulty)) {
+            return { success: false, message: `Difficulty must be one of ${AI_DIFFICULTIES.join(', ')}` };
+        }
+        
+        this.aiPlayers.set(playerName, new AIPlayer(playerName, difficulty));
+        this.recordEvent('aiDifficultyChanged', { player: playerName, difficulty });
+        this.markChanged();
+        return { success: true };
+    }
+
+    // Removes any seat but the host's own: a player, an AI or a bot
+    kickPlayer(playerName) {
+        if (this.gameStarted) return { success: false, message: 'Game already started' };
+        if (playerName === this.hostName) return { success: false, message: 'The host can\'t remove their own seat' };
+        if (!this.removePlayer(playerName)) return { success: false, message: `${playerName} is not in this game` };
+        return { success: true };
+    }
+
+    // `order` lists every player once, in their new seating order
+    reorderSeats(order) {
+        if (this.gameStarted) return { success: false, message: 'Game already started' };
+        if (!Array.isArray(order) || order.length !== this.players.length ||
+            new Set(order).size !== order.length || !order.every(player => this.players.includes(player))) {
+            return { success: false, message: 'New seating must list every player once' };
+        }
+        
+        this.players = [...order];
+        this.recordEvent('seatsReordered', { order: [...this.players] });
+        this.markChanged();
+        return { success: true };
+    }
+
+    // Only someone sitting at the table themselves can host
+    transferHost(playerName) {
+        if (!this.players.includes(playerName) || this.aiPlayers.has(playerName) || this.botPlayers.has(playerName) ||
+            this.autopilot.has(playerName)) {
+            return { success: false, message: `${playerName} can't be the host` };
+        }
+        if (playerName === this.hostName) return { success: true };
+        
+        this.hostName = playerName;
+        this.recordEvent('hostChanged', { host: playerName });
+        this.markChanged();
+        this.announce(`👑 ${playerName} is now the host`);
+        return { success: true };
+    }
+
+    // The host left: the first player still connected takes over, or else anyone still seated
+    handOverHost() {
+        const candidates = this.players.filter(player => !this.aiPlayers.has(player) && !this.botPlayers.has(player) &&
+            !this.autopilot.has(player));
+        const newHost = candidates.find(player => !this.isDisconnected(player)) || candidates[0];
+        if (newHost) this.transferHost(newHost);
+    }
+
+    // The most seats these rules can deal to, AI and bots included
+    seatCapacity() {
+        return Math.min(MAX_PLAYERS, Math.floor((this.deckSize() - 1) / this.biggestDeal()));
+    }
+
+    // Every seat but the one kept for a person to host
+    maxAISeats() {
+        return this.seatCapacity() - 1;
+    }
+
+    hasOpenSeat() {
+        return this.players.length < this.seatCapacity();
+    }
+
+    // Anyone can find and join this table from the public lobby
+    isOpenToPublic() {
+        return this.isPublic && !this.gameStarted && this.hasOpenSeat();
+    }
+
+    setPublic(isPublic) {
+        if (this.isPublic === !!isPublic) return { success: true };
+        
+        this.isPublic = !!isPublic;
+        this.markChanged();
+        this.announce(this.isPublic ? '📣 This table is listed in the public lobby' : '🔒 This table can only be joined by code');
+        this.notifyUpdate();
+        return { success: true };
+    }
+
+    getListing() {
+        return gameView.projectListing(this);
+    }
+
+    // A seat's ID tells it apart from a player of the same name at another table
+    getPlayerId(playerName) {
+        return this.playerIds.get(playerName) || null;
+    }
+
+    // Which player profile a seat's results count towards, if any
+    setPlayerProfile(playerName, profileId) {
+        if (!this.players.includes(playerName)) return;
+        this.playerProfiles.set(playerName, profileId);
+        this.markChanged();
+    }
+
+    getPlayerProfile(playerName) {
+        return this.playerProfiles.get(playerName) || null;
+    }
+
+    // Session tokens let a player reclaim their seat from a new socket
+    issueSessionToken(playerName) {
+        const token = uuidv4();
+        this.sessionTokens.set(token, playerName);
+        this.markChanged();
+        return token;
+    }
+
+    getPlayerForToken(token) {
+        const playerName = this.sessionTokens.get(token);
+        return playerName && this.players.includes(playerName) ? playerName : null;
+    }
+
+    isDisconnected(playerName) {
+        return this.disconnectedPlayers.has(playerName);
+    }
+
+    // Hold a dropped player's seat, hand and scores until the grace period runs out
+    markDisconnected(playerName) {
+        this.markReconnected(playerName);
+        
+        const timer = this.clock.setTimeout(() => {
+            this.disconnectedPlayers.delete(playerName);
+            console.log(`${playerName} did not reconnect within ${RECONNECT_GRACE_MS}ms`);
+            this.emit('seatExpired', playerName);
+        }, RECONNECT_GRACE_MS);
+        
+        this.disconnectedPlayers.set(playerName, timer);
+        console.log(`Holding seat for ${playerName} for ${RECONNECT_GRACE_MS}ms`);
+    }
+
+    // Stop every pending timer so a finished or deleted game can be let go. Like a replay,
+    // a disposed game goes quiet, so an AI move already under way doesn't start new timers.
+    dispose() {
+        this.headless = true;
+        if (this.turnState.buyTimer) {
+            this.clock.clearTimeout(this.turnState.buyTimer);
+            this.turnState.buyTimer = null;
+        }
+        this.clearTurnClock();
+        if (this.roundBreakTimer) {
+            this.clock.clearTimeout(this.roundBreakTimer);
+            this.roundBreakTimer = null;
+        }
+        this.disconnectedPlayers.forEach(timer => this.clock.clearTimeout(timer));
+        this.disconnectedPlayers.clear();
+    }
+
+    markReconnected(playerName) {
+        const timer = this.disconnectedPlayers.get(playerName);
+        if (timer) {
+            this.clock.clearTimeout(timer);
+            this.disconnectedPlayers.delete(playerName);
+        }
+    }
+
+    deckSize() {
+        const jokers = this.usesJokers() ? JOKERS_PER_DECK : 0;
+        return this.rules.decks * (52 + jokers);
+    }
+
+    // Cards each player gets in the round that deals the most
+    biggestDeal() {
+        return Math.max(...this.rules.rounds.map((round, index) => cardsDealtForRound(this.rules, index + 1)));
+    }
+
+    startGame() {
+        if (this.players.length < 2) {
+            return { success: false, message: 'Need at least 2 players to start' };
+        }
+        
+        // The biggest deal under these rules has to fit in the deck, with one card left to start the discard pile
+        const deckSize = this.deckSize();
+        const biggestDeal = this.biggestDeal();
+        if (this.players.length * biggestDeal + 1 > deckSize) {
+            return { success: false, message: `Not enough cards: ${this.players.length} players need ${biggestDeal} cards each from ${deckSize}` };
+        }
+        
+        this.gameStarted = true;
+        this.currentRound = 1;
+        this.currentPlayerIndex = 0;
+        
+        console.log(`Game starting with ${this.players.length} players`);
+        console.log(`Round 1 starting player: ${this.players[0]}`);
+        
+        this.recordEvent('gameStarted', { startingOrder: [...this.players] });
+        this.dealRound();
+        this.markChanged();
+        this.beginTurn();
+        
+        return { success: true };
+    }
+
+    dealRound() {
+        this.clearTurnClock();
+        
+        // Each round's deck, and any reshuffles during it, follow from the game seed
+        const jokersPerDeck = this.usesJokers() ? JOKERS_PER_DECK : 0;
+        const deckSeed = `${this.seed}:${this.currentRound}`;
+        this.deck = new Deck({ jokersPerDeck, decks: this.rules.decks, seed: deckSeed });
+        this.discardPile = [];
+        
+        this.recordEvent('deal', {
+            round: this.currentRound,
+            deckSeed,
+            startingPlayer: this.players[(this.currentRound - 1) % this.players.length],
+            deckOrder: this.recordedDeckOrder()
+        });
+        
+        // Reset player states for new round
+        this.players.forEach(player => {
+            this.playerHands.set(player, []);
+            this.playerMelds.set(player, []);
+            this.playerBuys.set(player, this.rules.buysPerRound);
+            this.playerGoneDown.set(player, false);
+        });
+
+        // Deal cards (10 + round number, unless the house rules say otherwise)
+        const cardsPerPlayer = cardsDealtForRound(this.rules, this.currentRound);
+        console.log(`Dealing ${cardsPerPlayer} cards per player for round ${this.currentRound}`);
+        
+        for (let i = 0; i < cardsPerPlayer; i++) {
+            this.players.forEach(player => {
+                this.playerHands.get(player).push(this.deck.deal());
+            });
+        }
+
+        // Start discard pile
+        this.discardPile.push(this.deck.deal());
+        
+        // Rotate starting player each round
+        this.currentPlayerIndex = (this.currentRound - 1) % this.players.length;
+        console.log(`Round ${this.currentRound} starting player: ${this.getCurrentPlayer()} (index ${this.currentPlayerIndex})`);
+        
+        // Reset turn state
+        this.turnState = {
+            hasDrawn: false,
+            wentDown: false,
+            canBuy: true,
+            buyPhase: false,
+            buyRequests: new Map(),
+            buyTimer: null,
+            turnTimer: null,
+            tableActions: []
+        };
+    }
+
+    getRoundRequirements() {
+        return this.rules.rounds[this.currentRound - 1];
+    }
+
+    getCurrentPlayer() {
+        return this.players[this.currentPlayerIndex];
+    }
+
+    // Turn spent discards back into a fresh draw pile
+    reshuffleIntoDeck(cards) {
+        this.deck.cards = cards;
+        this.deck.shuffle();
+        this.recordEvent('reshuffle', { deckOrder: this.recordedDeckOrder() });
+    }
+
+    usesJokers() {
+        return this.wildCards === 'jokers' || this.wildCards === 'jokersAndDeuces';
+    }
+
+    usesWildDeuces() {
+        return this.wildCards === 'deuces' || this.wildCards === 'jokersAndDeuces';
+    }
+
+    isWildCard(card) {
+        if (card.isJoker()) return this.usesJokers();
+        return card.rank === '2' && this.usesWildDeuces();
+    }
+
+    getCardPenalty(card) {
+        return scoring.getCardPenalty(card, c => this.isWildCard(c), this.rules.scoring);
+    }
+
+    nextTurn() {
+        this.finishTurnClock();
+        this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+        this.turnState = {
+            hasDrawn: false,
+            wentDown: false,
+            canBuy: true,
+            buyPhase: false,
+            buyRequests: new Map(),
+            buyTimer: null,
+            turnTimer: null,
+            tableActions: []
+        };
+        console.log(`Turn changed to player ${this.currentPlayerIndex}: ${this.getCurrentPlayer()}`);
+        
+        // Start buy phase if there's a discard pile
+        if (this.discardPile.length > 0) {
+            this.startBuyPhase();
+        } else {
+            this.beginTurn();
+        }
+    }
+
+    // The AI choosing for a seat: an AI player's own, or one standing in for an idle player
+    aiFor(playerName) {
+        return this.aiPlayers.get(playerName) || this.autopilot.get(playerName);
+    }
+
+    // Any buy phase is over and the current player gets on with their turn
+    beginTurn() {
+        if (this.aiFor(this.getCurrentPlayer())) {
+            this.scheduleAITurn();
+        } else {
+            this.startTurnClock();
+        }
+    }
+
+    // Give a human the turn clock (see TURN_TIME_LIMIT_MS). AI and bot seats keep their own time.
+    startTurnClock(timeLimit = this.rules.turnTimeLimitMs) {
+        const playerName = this.getCurrentPlayer();
+        this.clearTurnClock();
+        if (this.headless || !this.rules.turnTimeLimitMs || this.aiFor(playerName) || this.botPlayers.has(playerName)) return;
+        
+        this.turnState.turnDeadline = this.clock.now() + timeLimit;
+        this.turnState.turnTimer = this.clock.setTimeout(() => {
+            this.turnState.turnTimer = null;
+            this.handleTurnTimeout(playerName);
+        }, timeLimit);
+        this.markChanged();
+    }
+
+    clearTurnClock() {
+        if (this.turnState.turnTimer) {
+            this.clock.clearTimeout(this.turnState.turnTimer);
+        }
+        this.turnState.turnTimer = null;
+        this.turnState.turnDeadline = null;
+    }
+
+    // The current player's turn is over. Finishing before their clock ran out means they aren't idle.
+    finishTurnClock() {
+        if (this.turnState.turnTimer) this.idleTurns.delete(this.getCurrentPlayer());
+        this.clearTurnClock();
+    }
+
+    // A player's clock ran out: draw and discard for them the way the AI would. After
+    // too many turns in a row, an AI plays their seat until they come back.
+    handleTurnTimeout(playerName) {
+        if (!this.gameStarted || this.gameComplete || this.getCurrentPlayer() !== playerName || this.turnState.buyPhase) return;
+        
+        const idleTurns = (this.idleTurns.get(playerName) || 0) + 1;
+        this.idleTurns.set(playerName, idleTurns);
+        this.turnState.turnDeadline = null;
+        this.recordEvent('turnTimedOut', { player: playerName, idleTurns });
+        this.announce(`⏰ ${playerName} ran out of time`);
+        
+        const standIn = new AIPlayer(playerName, 'medium');
+        if (idleTurns >= IDLE_TURNS_BEFORE_AUTOPILOT) {
+            this.autopilot.set(playerName, standIn);
+            this.recordEvent('autopilot', { player: playerName, enabled: true });
+            this.announce(`🤖 The AI will play for ${playerName} until they come back`);
+        }
+        
+        if (!this.turnState.hasDrawn) {
+            const drew = this.drawCard(playerName);
+            if (drew.success) this.announce(`${playerName} drew a card`);
+        }
+        
+        const result = this.discardCard(playerName, standIn.chooseDiscardCard(this));
+        if (result.success) {
+            this.announce(`${playerName} discarded ${result.card.display}`);
+            this.notifyUpdate();
+            if (result.roundEnded) this.handleRoundEnd(result.roundResult);
+        }
+    }
+
+    // A player the AI has been standing in for is back. Mid-turn, they carry on from where the AI got to.
+    resumeControl(playerName) {
+        this.idleTurns.delete(playerName);
+        if (!this.autopilot.has(playerName)) return { success: true };
+        
+        this.autopilot.delete(playerName);
+        this.recordEvent('autopilot', { player: playerName, enabled: false });
+        this.markChanged();
+        this.announce(`👋 ${playerName} is back`);
+        
+        if (this.gameStarted && this.getCurrentPlayer() === playerName && !this.turnState.buyPhase) {
+            this.startTurnClock();
+        }
+        this.notifyUpdate();
+        return { success: true };
+    }
+
+    scheduleAITurn() {
+        if (this.headless) return;
+        
+        const currentPlayer = this.getCurrentPlayer();
+        const aiPlayer = this.aiFor(currentPlayer);
+        
+        if (!aiPlayer) return;
+        
+        const delay = aiPlayer.getDecisionDelay();
+        console.log(`Scheduling AI turn for ${currentPlayer} in ${delay}ms`);
+        
+        this.clock.setTimeout(() => {
+            if (this.getCurrentPlayer() === currentPlayer && this.gameStarted) {
+                this.executeAITurn(currentPlayer);
+            }
+        }, delay);
+    }
+
+    executeAITurn(playerName) {
+        const aiPlayer = this.aiFor(playerName);
+        if (!aiPlayer || this.getCurrentPlayer() !== playerName) return;
+        
+        console.log(`Executing AI turn for ${playerName}`);
+        
+        // First, draw a card or pick up discard
+        let drewCard = false;
+        const discardTop = this.discardPile[this.discardPile.length - 1];
+        if (discardTop && aiPlayer.shouldTakeDiscard(this, discardTop)) {
+            const result = this.pickUpDiscard(playerName);
+            if (result.success) {
+                drewCard = true;
+                this.announce(`${playerName} picked up the ${result.card.display} from discard pile`);
+            }
+        }
+        
+        if (!drewCard) {
+            const result = this.drawCard(playerName);
+            if (result.success) {
+                this.announce(`${playerName} drew a card`);
+            }
+        }
+        
+        this.continueAITurn(playerName);
+    }
+
+    // Once an AI has its card: make melds, then discard
+    continueAITurn(playerName) {
+        this.clock.setTimeout(() => {
+            if (this.headless || this.getCurrentPlayer() !== playerName || !this.gameStarted) return;
+            this.tryAIMelds(playerName);
+            
+            // Then discard
+            this.clock.setTimeout(() => {
+                this.aiDiscardCard(playerName);
+            }, 500);
+        }, 1000);
+    }
+
+    tryAIMelds(playerName) {
+        const aiPlayer = this.aiFor(playerName);
+        if (!aiPlayer) return;
+        
+        if (!this.hasGoneDown(playerName)) {
+            const plan = aiPlayer.planGoDown(this);
+            if (!plan) return;
+            
+            const result = this.goDown(playerName, plan);
+            if (result.success) {
+                this.announce(`${playerName} went down with ${result.melds.map(meld => meld.type).join(', ')}`);
+                if (result.roundEnded) this.handleRoundEnd(result.roundResult);
+            }
+            // Extra melds have to wait for a later turn
+            return;
+        }
+        
+        if (this.getTableBuildingError(playerName)) return;
+        
+        let madeAMeld = true;
+        while (madeAMeld) {
+            const bestMeld = aiPlayer.chooseBestMeld(this);
+            if (bestMeld && bestMeld.cards.length >= (bestMeld.type === 'set' ? 3 : 4)) {
+                const result = this.makeMeld(playerName, bestMeld.cards, bestMeld.type);
+                if (result.success) {
+                    this.announce(`${playerName} made a ${bestMeld.type} with ${bestMeld.cards.length} cards`);
+                    
+                    if (result.roundEnded) {
+                        this.handleRoundEnd(result.roundResult);
+                        return;
+                    }
+                } else {
+                    madeAMeld = false;
+                }
+            } else {
+                madeAMeld = false;
+            }
+        }
+        
+        this.tryAILayOffs(playerName);
+    }
+
+    // Play every card that fits a meld on the table. Laying off the last card goes out;
+    // otherwise the discard that follows empties the hand once one card is left.
+    tryAILayOffs(playerName) {
+        const aiPlayer = this.aiFor(playerName);
+        if (!aiPlayer) return;
+        
+        let layOff;
+        while ((layOff = aiPlayer.chooseLayOff(this))) {
+            const { cardIndex, targetPlayer, meldIndex } = layOff;
+            // Going out deals the next round, so note the meld before laying off
+            const meldType = this.playerMelds.get(targetPlayer)[meldIndex].type;
+            const result = this.layOffCard(playerName, cardIndex, targetPlayer, meldIndex);
+            if (!result.success) return;
+            
+            const owner = targetPlayer === playerName ? 'their own' : `${targetPlayer}'s`;
+            this.announce(`${playerName} laid off ${result.card.display} on ${owner} ${meldType}`);
+            
+            if (result.roundEnded) {
+                this.handleRoundEnd(result.roundResult);
+                return;
+            }
+        }
+        this.notifyUpdate();
+    }
+
+    aiDiscardCard(playerName) {
+        const aiPlayer = this.aiFor(playerName);
+        if (!aiPlayer || this.getCurrentPlayer() !== playerName) return;
+        
+        const discardIndex = aiPlayer.chooseDiscardCard(this);
+        const result = this.discardCard(playerName, discardIndex);
+        
+        if (result.success) {
+            this.announce(`${playerName} discarded ${result.card.display}`);
+            this.notifyUpdate();
+            
+            if (result.roundEnded) {
+                this.handleRoundEnd(result.roundResult);
+            }
+        }
+    }
+
+    startBuyPhase() {
+        if (this.turnState.buyPhase || this.discardPile.length === 0) return;
+        
+        this.turnState.buyPhase = true;
+        this.turnState.buyStage = 'discardOffer';
+        this.turnState.buyRequests.clear();
+        
+        const discardCard = this.discardPile[this.discardPile.length - 1];
+        console.log(`Starting buy phase for discard: ${discardCard.display}`);
+        
+        // A replay applies the recorded decisions instead of asking anyone
+        if (this.headless) return;
+        
+        this.offerDiscardToCurrentPlayer(this.rules.buyTimeLimitMs);
+        this.markChanged();
+    }
+
+    // First, ask current player if they want the discard
+    offerDiscardToCurrentPlayer(timeLimit) {
+        const discardCard = this.discardPile[this.discardPile.length - 1];
+        const currentPlayer = this.getCurrentPlayer();
+        this.turnState.buyDeadline = this.clock.now() + timeLimit;
+        
+        const aiPlayer = this.aiFor(currentPlayer);
+        if (aiPlayer) {
+            // AI player decision
+            const wantsDiscard = aiPlayer.shouldTakeDiscard(this, discardCard);
+            const turnState = this.turnState;
+            
+            this.clock.setTimeout(() => {
+                // The turn may have moved on (say, a player left) before the AI answered
+                if (this.turnState !== turnState) return;
+                this.handleCurrentPlayerDiscardDecision(currentPlayer, wantsDiscard);
+            }, Math.min(aiPlayer.getDecisionDelay() / 2, timeLimit));
+        } else {
+            if (this.isDisconnected(currentPlayer)) {
+                // Player not connected, auto-decline
+                this.handleCurrentPlayerDiscardDecision(currentPlayer, false);
+                return;
+            }
+            
+            // Human player - send discard offer
+            this.emit('discardOffer', { playerName: currentPlayer, card: discardCard, timeLimit });
+            
+            // Auto-decline after timeout
+            this.turnState.buyTimer = this.clock.setTimeout(() => {
+                if (this.turnState.buyPhase && this.getCurrentPlayer() === currentPlayer) {
+                    this.handleCurrentPlayerDiscardDecision(currentPlayer, false);
+                }
+            }, timeLimit);
+        }
+    }
+
+    handleCurrentPlayerDiscardDecision(playerName, wantsDiscard) {
+        if (this.turnState.buyStage !== 'discardOffer' || this.getCurrentPlayer() !== playerName) return;
+        
+        if (this.turnState.buyTimer) {
+            this.clock.clearTimeout(this.turnState.buyTimer);
+            this.turnState.buyTimer = null;
+        }
+        
+        if (wantsDiscard) {
+            // Current player takes the discard
+            const result = this.pickUpDiscard(playerName);
+            if (result.success) {
+                this.turnState.buyPhase = false;
+                this.turnState.buyStage = null;
+                this.recordEvent('buyPhaseEnded', { buyer: null });
+                this.notifyUpdate();
+                this.announce(`${playerName} picked up the ${result.card.display} from discard pile`);
+                
+                // An AI carries on with its turn from here; a player's clock starts
+                if (this.aiFor(playerName)) {
+                    this.continueAITurn(playerName);
+                } else {
+                    this.startTurnClock();
+                }
+            } else {
+                // Failed to pick up, continue to buy phase
+                this.startBuyRequestPhase();
+            }
+        } else {
+            // Current player declined, start buy request phase
+            this.startBuyRequestPhase();
+        }
+    }
+
+    startBuyRequestPhase() {
+        if (!this.turnState.buyPhase || this.discardPile.length === 0) return;
+        
+        const discardCard = this.discardPile[this.discardPile.length - 1];
+        console.log(`Starting buy request phase for: ${discardCard.display}`);
+        
+        // Clear any existing requests
+        this.turnState.buyStage = 'buyRequests';
+        this.turnState.buyRequests.clear();
+        
+        this.requestBuys(this.rules.buyTimeLimitMs);
+        this.markChanged();
+    }
+
+    // Ask every other player who can still buy and hasn't answered yet
+    requestBuys(timeLimit) {
+        const discardCard = this.discardPile[this.discardPile.length - 1];
+        const currentPlayer = this.getCurrentPlayer();
+        const turnState = this.turnState;
+        turnState.buyDeadline = this.clock.now() + timeLimit;
+        
+        // An AI's answer only counts towards the buy phase it was asked in
+        const answerLater = (playerName, wantsCard, delay) => {
+            this.clock.setTimeout(() => {
+                if (this.turnState !== turnState || turnState.buyStage !== 'buyRequests') return;
+                this.submitBuyRequest(playerName, wantsCard);
+            }, delay);
+        };
+        
+        // Send buy requests to all other players who can buy
+        this.players.forEach(playerName => {
+            if (playerName !== currentPlayer && this.playerBuys.get(playerName) > 0 && !turnState.buyRequests.has(playerName)) {
+                const aiPlayer = this.aiFor(playerName);
+                if (aiPlayer) {
+                    // Handle AI buy decision, answering before the buy window closes
+                    if (aiPlayer.shouldBuyCard(this, discardCard)) {
+                        answerLater(playerName, true, Math.min(Math.random() * 2000 + 500, timeLimit)); // Random delay 0.5-2.5 seconds
+                    } else {
+                        answerLater(playerName, false, Math.min(Math.random() * 1000 + 500, timeLimit)); // Faster decline
+                    }
+                } else {
+                    // Send buy request to human player
+                    this.emit('buyRequest', { playerName, card: discardCard, timeLimit });
+                }
+            }
+        });
+        
+        // Set timer to resolve buy phase
+        this.turnState.buyTimer = this.clock.setTimeout(() => {
+            this.resolveBuyPhase();
+        }, timeLimit);
+    }
+
+    submitBuyRequest(playerName, wantsCard) {
+        if (!this.turnState.buyPhase) return { success: false, message: "No active buy phase" };
+        // The current player gets first refusal before anyone can ask to buy
+        if (this.turnState.buyStage !== 'buyRequests') return { success: false, message: "The discard hasn't been offered for buying yet" };
+        if (playerName === this.getCurrentPlayer()) return { success: false, message: "It's your turn - pick up the discard instead of buying it" };
+        if (!(this.playerBuys.get(playerName) > 0)) return { success: false, message: "You have no buys left this round" };
+        
+        console.log(`${playerName} submitted buy request: ${wantsCard}`);
+        this.turnState.buyRequests.set(playerName, wantsCard);
+        this.markChanged();
+        
+        // Check if all eligible players have responded
+        const eligiblePlayers = this.players.filter(p => 
+            p !== this.getCurrentPlayer() && this.playerBuys.get(p) > 0
+        );
+        
+        if (this.turnState.buyRequests.size >= eligiblePlayers.length) {
+            // All players responded, resolve immediately
+            if (this.turnState.buyTimer) {
+                this.clock.clearTimeout(this.turnState.buyTimer);
+            }
+            this.resolveBuyPhase();
+        }
+        
+        return { success: true };
+    }
+
+    resolveBuyPhase() {
+        if (!this.turnState.buyPhase) return;
+        
+        console.log(`Resolving buy phase...`);
+        
+        if (this.turnState.buyTimer) {
+            this.clock.clearTimeout(this.turnState.buyTimer);
+            this.turnState.buyTimer = null;
+        }
+        
+        // Find players who want to buy (in turn order)
+        const currentPlayerIndex = this.currentPlayerIndex;
+        const wantToBuy = [];
+        
+        for (let i = 1; i < this.players.length; i++) {
+            const playerIndex = (currentPlayerIndex + i) % this.players.length;
+            const playerName = this.players[playerIndex];
+            
+            if (this.turnState.buyRequests.get(playerName) === true) {
+                wantToBuy.push(playerName);
+            }
+        }
+        
+        console.log(`Players who want to buy:`, wantToBuy);
+        
+        let buyer = null;
+        if (wantToBuy.length > 0) {
+            // First player in turn order gets the card
+            const buyerName = wantToBuy[0];
+            const result = this.buyCard(buyerName);
+            
+            if (result.success) {
+                buyer = buyerName;
+                this.announce(`${buyerName} bought the ${result.discardCard.display} and drew a penalty card`);
+                this.notifyUpdate();
+            }
+        }
+        
+        // End buy phase
+        this.turnState.buyPhase = false;
+        this.turnState.buyStage = null;
+        this.turnState.buyRequests.clear();
+        this.recordEvent('buyPhaseEnded', { buyer });
+        this.markChanged();
+        
+        // Continue with current player's turn
+        this.beginTurn();
+        if (!this.aiFor(this.getCurrentPlayer())) {
+            this.notifyUpdate();
+        }
+    }
+
+    announce(message) {
+        if (!this.headless) this.emit('message', message);
+    }
+
+    notifyUpdate() {
+        if (!this.headless) this.emit('update');
+    }
+
+    // Someone went out. The next round has already been dealt; give players a
+    // moment to see the scores before an AI opens it.
+    handleRoundEnd(roundResult) {
+        if (this.headless) return;
+        
+        this.emit('roundEnded', roundResult);
+        
+        if (!roundResult.gameEnded) {
+            const round = this.currentRound;
+            const opener = this.currentPlayerIndex;
+            this.roundBreakTimer = this.clock.setTimeout(() => {
+                this.roundBreakTimer = null;
+                // Unless the opening player has already got going
+                const { hasDrawn, buyPhase, turnTimer } = this.turnState;
+                if (this.currentRound === round && this.currentPlayerIndex === opener && !hasDrawn && !buyPhase && !turnTimer) {
+                    this.beginTurn();
+                }
+            }, ROUND_BREAK_MS);
+        }
+    }
+
+    // NEW: Lay-off functionality
+    layOffCard(playerName, cardIndex, targetPlayerName, meldIndex) {
+        console.log(`${playerName} attempting to lay off card ${cardIndex} to ${targetPlayerName}'s meld ${meldIndex}`);
+        
+        if (this.getCurrentPlayer() !== playerName) {
+            return { success: false, message: "Not your turn" };
+        }
+
+        const tableError = this.getTableBuildingError(playerName);
+        if (tableError) {
+            return { success: false, message: tableError };
+        }
+
+        const hand = this.playerHands.get(playerName);
+        if (!isIndexInto(hand, cardIndex)) {
+            return { success: false, message: "Invalid card" };
+        }
+
+        const targetMelds = this.players.includes(targetPlayerName) ? this.playerMelds.get(targetPlayerName) : null;
+        if (!targetMelds || !isIndexInto(targetMelds, meldIndex)) {
+            return { success: false, message: "Invalid target meld" };
+        }
+
+        const card = hand[cardIndex];
+        const targetMeld = targetMelds[meldIndex];
+        
+        // Check if card can be added to the meld
+        const placement = this.getLayOffPlacement(card, targetMeld);
+        if (!placement) {
+            return { success: false, message: "Card cannot be added to that meld" };
+        }
+
+        // Add card to the meld
+        const undoPoint = this.undoPoint(playerName, 'layOff', [targetPlayerName]);
+        hand.splice(cardIndex, 1);
+        card.represents = placement.represents;
+        if (placement.atStart) {
+            targetMeld.cards.unshift(card);
+        } else {
+            targetMeld.cards.push(card);
+        }
+        this.sortMeld(targetMeld);
+
+        console.log(`${playerName} laid off ${card.display} to ${targetPlayerName}'s ${targetMeld.type}`);
+
+        // Check if player went out
+        if (hand.length === 0) {
+            const validation = this.validatePlayerMeetsRoundRequirements(playerName);
+            
+            if (!validation.meetsRequirements) {
+                // Put card back
+                targetMeld.cards.splice(targetMeld.cards.indexOf(card), 1);
+                card.represents = null;
+                hand.splice(cardIndex, 0, card);
+                
+                return { 
+                    success: false, 
+                    message: `Cannot go out! You need: ${this.getRoundRequirements().melds}` 
+                };
+            }
+            
+            console.log(`${playerName} went out by laying off their last card!`);
+            this.recordEvent('layOff', { player: playerName, cardIndex, targetPlayer: targetPlayerName, meldIndex, card: card.display });
+            const roundResult = this.endRound(playerName);
+            this.markChanged();
+            return { success: true, card, layOff: true, roundEnded: true, roundResult };
+        }
+
+        this.recordEvent('layOff', { player: playerName, cardIndex, targetPlayer: targetPlayerName, meldIndex, card: card.display });
+        this.turnState.tableActions.push(undoPoint);
+        this.markChanged();
+        return { success: true, card, layOff: true };
+    }
+
+    hasGoneDown(playerName) {
+        return this.playerGoneDown.get(playerName) === true;
+    }
+
+    // Extra melds and lay-offs only come once the contract is down, and not on the same turn
+    getTableBuildingError(playerName) {
+        if (!this.hasGoneDown(playerName)) {
+            return `Go down with the whole contract first: ${this.getRoundRequirements().melds}`;
+        }
+        if (this.turnState.wentDown) {
+            return "You can add melds and lay off from your next turn";
+        }
+        return null;
+    }
+
+    canLayOffCard(card, meld) {
+        return this.getLayOffPlacement(card, meld) !== null;
+    }
+
+    getLayOffPlacement(card, meld) {
+        return melds.getLayOffPlacement(card, meld, c => this.isWildCard(c), this.aceRuns);
+    }
+
+    describeRepresented(rank, suit) {
+        return melds.describeRepresented(rank, suit);
+    }
+
+    // Standard rule: trade the natural card a wild stands for and take the wild into your hand
+    swapWildCard(playerName, cardIndex, targetPlayerName, meldIndex) {
+        if (this.getCurrentPlayer() !== playerName || !this.turnState.hasDrawn) {
+            return { success: false, message: "You can only swap for a wild card during your turn after drawing" };
+        }
+
+        const hand = this.playerHands.get(playerName);
+        if (!isIndexInto(hand, cardIndex)) {
+            return { success: false, message: "Invalid card" };
+        }
+
+        const targetMelds = this.players.includes(targetPlayerName) ? this.playerMelds.get(targetPlayerName) : null;
+        if (!targetMelds || !isIndexInto(targetMelds, meldIndex)) {
+            return { success: false, message: "Invalid target meld" };
+        }
+
+        const card = hand[cardIndex];
+        if (this.isWildCard(card)) {
+            return { success: false, message: "Swap in a natural card, not a wild one" };
+        }
+
+        const targetMeld = targetMelds[meldIndex];
+        const wildPosition = targetMeld.cards.findIndex(meldCard => 
+            meldCard.represents &&
+            meldCard.represents.rank === card.rank &&
+            (meldCard.represents.suit === null || meldCard.represents.suit === card.suit)
+        );
+        
+        if (wildPosition === -1) {
+            return { success: false, message: `No wild card in that meld stands for ${card.display}` };
+        }
+
+        this.turnState.tableActions.push(this.undoPoint(playerName, 'swapWildCard', [targetPlayerName]));
+        const wildCard = targetMeld.cards[wildPosition];
+        wildCard.represents = null;
+        targetMeld.cards[wildPosition] = card;
+        hand[cardIndex] = wildCard;
+        this.sortMeld(targetMeld);
+
+        console.log(`${playerName} swapped ${card.display} for a wild card in ${targetPlayerName}'s ${targetMeld.type}`);
+        this.recordEvent('swapWildCard', { player: playerName, cardIndex, targetPlayer: targetPlayerName, meldIndex, card: card.display });
+        this.markChanged();
+        return { success: true, card, wildCard };
+    }
+
+    drawCard(playerName) {
+        if (this.getCurrentPlayer() !== playerName || this.turnState.hasDrawn) {
+            return { success: false, message: "Not your turn or already drawn" };
+        }
+
+        if (this.deck.isEmpty()) {
+            if (this.discardPile.length <= 1) {
+                return { success: false, message: "No cards left to draw" };
+            }
+            const topCard = this.discardPile.pop();
+            this.reshuffleIntoDeck([...this.discardPile]);
+            this.discardPile = [topCard];
+        }
+
+        const card = this.deck.deal();
+        this.playerHands.get(playerName).push(card);
+        this.turnState.hasDrawn = true;
+        this.turnState.tableActions = [];
+        
+        console.log(`${playerName} drew a card, hand now has ${this.playerHands.get(playerName).length} cards`);
+        
+        this.recordEvent('draw', { player: playerName });
+        this.markChanged();
+        return { success: true, card };
+    }
+
+    pickUpDiscard(playerName) {
+        if (this.getCurrentPlayer() !== playerName || this.turnState.hasDrawn) {
+            return { success: false, message: "Not your turn or already drawn" };
+        }
+
+        if (this.discardPile.length === 0) {
+            return { success: false, message: "No card in discard pile" };
+        }
+
+        const card = this.discardPile.pop();
+        this.playerHands.get(playerName).push(card);
+        this.turnState.hasDrawn = true;
+        this.turnState.tableActions = [];
+        
+        console.log(`${playerName} picked up ${card.display}, discard pile now has ${this.discardPile.length} cards`);
+        this.recordEvent('pickUpDiscard', { player: playerName, card: card.display });
+        this.markChanged();
+        return { success: true, card };
+    }
+
+    // Hand the discard and a penalty card to a buyer. Players ask with submitBuyRequest;
+    // only resolveBuyPhase (and a replay) decides who actually buys.
+    buyCard(playerName) {
+        if (this.getCurrentPlayer() === playerName || this.playerBuys.get(playerName) <= 0) {
+            return { success: false, message: "Cannot buy on your turn or no buys left" };
+        }
+
+        if (this.discardPile.length === 0) {
+            return { success: false, message: "No card to buy" };
+        }
+
+        // The penalty card comes from the deck, or from the rest of the discard pile once it is reshuffled
+        if (this.deck.isEmpty() && this.discardPile.length < 2) {
+            console.error("Deck and discard pile both empty!");
+            return { success: false, message: "No cards left to deal" };
+        }
+
+        this.recordEvent('buy', { player: playerName, card: this.discardPile[this.discardPile.length - 1].display });
+        const discardCard = this.discardPile.pop();
+        this.playerHands.get(playerName).push(discardCard);
+        
+        if (this.deck.isEmpty()) {
+            this.reshuffleIntoDeck([...this.discardPile]);
+            this.discardPile = [];
+        }
+        
+        const penaltyCard = this.deck.deal();
+        this.playerHands.get(playerName).push(penaltyCard);
+        this.playerBuys.set(playerName, this.playerBuys.get(playerName) - 1);
+        
+        console.log(`${playerName} bought ${discardCard.display}, discard pile now has ${this.discardPile.length} cards`);
+        this.markChanged();
+        return { success: true, discardCard, penaltyCard };
+    }
+
+    validatePlayerMeetsRoundRequirements(playerName) {
+        console.log(`=== VALIDATING ROUND REQUIREMENTS FOR ${playerName} ===`);
+        
+        const playerMelds = this.playerMelds.get(playerName) || [];
+        const requirements = this.getRoundRequirements();
+        
+        console.log(`Round ${this.currentRound} requirements:`, requirements);
+        console.log(`Player ${playerName} has ${playerMelds.length} melds:`, playerMelds.map(m => `${m.type}(${m.cards.length})`));
+        
+        const validation = melds.checkRoundRequirements(playerMelds, requirements);
+        
+        console.log(`Requirements check: Sets ${validation.validSets}/${requirements.sets}, Runs ${validation.validRuns}/${requirements.runs}`);
+        console.log(`Meets requirements: ${validation.meetsRequirements}`);
+        
+        return validation;
+    }
+
+    discardCard(playerName, cardIndex) {
+        console.log(`${playerName} attempting to discard card at index ${cardIndex}`);
+        
+        if (this.getCurrentPlayer() !== playerName || !this.turnState.hasDrawn) {
+            console.log(`Discard failed: current player is ${this.getCurrentPlayer()}, hasDrawn: ${this.turnState.hasDrawn}`);
+            return { success: false, message: "Not your turn or haven't drawn" };
+        }
+
+        const hand = this.playerHands.get(playerName);
+        if (!isIndexInto(hand, cardIndex)) {
+            return { success: false, message: "Invalid card" };
+        }
+
+        const discardedCard = hand.splice(cardIndex, 1)[0];
+        this.discardPile.push(discardedCard);
+        console.log(`${playerName} discarded ${discardedCard.display}, discard pile now has ${this.discardPile.length} cards`);
+        const discardEvent = { player: playerName, cardIndex, card: discardedCard.display };
+
+        if (hand.length === 0) {
+            const validation = this.validatePlayerMeetsRoundRequirements(playerName);
+            
+            if (!validation.meetsRequirements) {
+                hand.push(discardedCard);
+                this.discardPile.pop();
+                
+                let errorMessage = `Cannot go out! You need: ${this.getRoundRequirements().melds}. `;
+                if (!validation.hasRequiredSets) {
+                    errorMessage += `Missing ${validation.requirements.sets - validation.validSets} more sets. `;
+                }
+                if (!validation.hasRequiredRuns) {
+                    errorMessage += `Missing ${validation.requirements.runs - validation.validRuns} more runs. `;
+                }
+                
+                console.log(`${playerName} tried to go out but doesn't meet requirements`);
+                return { success: false, message: errorMessage };
+            }
+            
+            console.log(`${playerName} went out and meets requirements! Ending round.`);
+            this.recordEvent('discard', discardEvent);
+            const roundResult = this.endRound(playerName);
+            this.markChanged();
+            return { success: true, card: discardedCard, roundEnded: true, roundResult };
+        }
+
+        console.log(`Ending ${playerName}'s turn, moving to next player`);
+        this.recordEvent('discard', discardEvent);
+        this.nextTurn();
+        console.log(`New current player: ${this.getCurrentPlayer()}`);
+        
+        this.markChanged();
+        return { success: true, card: discardedCard };
+    }
+
+    validateMeld(cards, meldType) {
+        return this.arrangeMeld(cards, meldType) !== null;
+    }
+
+    // Order the cards of a meld and work out what each wild card stands for.
+    // Returns null when the cards can't form a meld of that type.
+    arrangeMeld(cards, meldType) {
+        return melds.arrangeMeld(cards, meldType, c => this.isWildCard(c), this.aceRuns);
+    }
+
+    // Lay down the round's whole contract in one go. `meldSpecs` is a list of
+    // { cardIndices, meldType }, with indices into the hand as it stands now.
+    goDown(playerName, meldSpecs) {
+        console.log(`${playerName} attempting to go down with:`, meldSpecs);
+        
+        if (this.getCurrentPlayer() !== playerName || !this.turnState.hasDrawn) {
+            return { success: false, message: "You can only go down during your turn after drawing" };
+        }
+
+        if (this.hasGoneDown(playerName)) {
+            return { success: false, message: "You have already gone down this round" };
+        }
+
+        const hand = this.playerHands.get(playerName);
+        const requirements = this.getRoundRequirements();
+        
+        if (!Array.isArray(meldSpecs) || meldSpecs.length !== requirements.sets + requirements.runs) {
+            return { success: false, message: `Go down with exactly the contract: ${requirements.melds}` };
+        }
+
+        const usedIndices = new Set();
+        for (const spec of meldSpecs) {
+            if (!spec || !Array.isArray(spec.cardIndices) || (spec.meldType !== 'set' && spec.meldType !== 'run')) {
+                return { success: false, message: "Invalid meld" };
+            }
+            for (const index of spec.cardIndices) {
+                if (!isIndexInto(hand, index) || usedIndices.has(index)) {
+                    return { success: false, message: "Invalid card selection" };
+                }
+                usedIndices.add(index);
+            }
+        }
+
+        const newMelds = [];
+        for (const spec of meldSpecs) {
+            const arranged = this.arrangeMeld(spec.cardIndices.map(index => hand[index]), spec.meldType);
+            if (!arranged) {
+                return { success: false, message: `Invalid ${spec.meldType}` };
+            }
+            newMelds.push({ type: spec.meldType, arranged });
+        }
+
+        const proposed = newMelds.map(meld => ({ type: meld.type, cards: meld.arranged.map(({ card }) => card) }));
+        if (!melds.checkRoundRequirements(proposed, requirements).meetsRequirements) {
+            return { success: false, message: `Those melds don't make the contract: ${requirements.melds}` };
+        }
+
+        // Everything checks out - move the cards from the hand to the table
+        const undoPoint = this.undoPoint(playerName, 'goDown', [playerName]);
+        const laidDown = newMelds.map(meld => ({
+            type: meld.type,
+            cards: meld.arranged.map(({ card, represents }) => {
+                card.represents = represents;
+                return card;
+            })
+        }));
+        laidDown.forEach(meld => this.sortMeld(meld));
+        this.playerHands.set(playerName, hand.filter((card, index) => !usedIndices.has(index)));
+        this.playerMelds.get(playerName).push(...laidDown);
+        this.playerGoneDown.set(playerName, true);
+        this.turnState.wentDown = true;
+        
+        console.log(`${playerName} went down with ${laidDown.length} melds`);
+        this.recordEvent('goDown', { player: playerName, melds: meldSpecs.map(({ cardIndices, meldType }) => ({ cardIndices, meldType })) });
+
+        if (this.playerHands.get(playerName).length === 0) {
+            console.log(`${playerName} went out by going down with every card!`);
+            const roundResult = this.endRound(playerName);
+            this.markChanged();
+            return { success: true, melds: laidDown, roundEnded: true, roundResult };
+        }
+        
+        this.turnState.tableActions.push(undoPoint);
+        this.markChanged();
+        return { success: true, melds: laidDown };
+    }
+
+    makeMeld(playerName, cardIndices, meldType) {
+        console.log(`${playerName} attempting to make ${meldType} with cards at indices:`, cardIndices);
+        
+        if (this.getCurrentPlayer() !== playerName) {
+            return { success: false, message: "Not your turn" };
+        }
+
+        const tableError = this.getTableBuildingError(playerName);
+        if (tableError) {
+            return { success: false, message: tableError };
+        }
+
+        if (meldType !== 'set' && meldType !== 'run') {
+            return { success: false, message: "Invalid meld" };
+        }
+
+        const hand = this.playerHands.get(playerName);
+        console.log(`Player hand size: ${hand.length}`);
+        
+        // Each card once: a repeated index would count one card several times
+        if (!Array.isArray(cardIndices) || new Set(cardIndices).size !== cardIndices.length ||
+            !cardIndices.every(index => isIndexInto(hand, index))) {
+            console.log(`Invalid card indices: ${cardIndices}`);
+            return { success: false, message: "Invalid card selection" };
+        }
+        
+        const selectedCards = cardIndices.map(index => hand[index]);
+        console.log(`Selected cards:`, selectedCards.map(c => `${c.rank}${c.suit}`));
+
+        const arranged = this.arrangeMeld(selectedCards, meldType);
+        if (!arranged) {
+            console.log(`Meld validation failed for ${meldType}`);
+            return { success: false, message: `Invalid ${meldType}` };
+        }
+        
+        const undoPoint = this.undoPoint(playerName, 'makeMeld', [playerName]);
+        const cards = arranged.map(({ card, represents }) => {
+            card.represents = represents;
+            return card;
+        });
+
+        const sortedIndices = [...cardIndices].sort((a, b) => b - a);
+        console.log(`Removing cards at indices:`, sortedIndices);
+        
+        sortedIndices.forEach(index => {
+            hand.splice(index, 1);
+        });
+
+        const newMeld = { type: meldType, cards };
+        this.sortMeld(newMeld);
+        this.playerMelds.get(playerName).push(newMeld);
+        
+        console.log(`${playerName} successfully made ${meldType}, hand now has ${hand.length} cards`);
+        console.log(`Player now has ${this.playerMelds.get(playerName).length} melds`);
+
+        if (hand.length === 0) {
+            const validation = this.validatePlayerMeetsRoundRequirements(playerName);
+            
+            if (!validation.meetsRequirements) {
+                console.log(`${playerName} melded all cards but doesn't meet round requirements`);
+                
+                // Put the cards back where they were
+                this.playerMelds.get(playerName).pop();
+                [...cardIndices].sort((a, b) => a - b).forEach(index => {
+                    const card = selectedCards[cardIndices.indexOf(index)];
+                    card.represents = null;
+                    hand.splice(index, 0, card);
+                });
+                
+                return { 
+                    success: false, 
+                    message: `You've melded all cards but don't meet round requirements: ${this.getRoundRequirements().melds}` 
+                };
+            }
+            
+            console.log(`${playerName} went out by melding their last cards and meets requirements!`);
+            this.recordEvent('makeMeld', { player: playerName, cardIndices, meldType });
+            const roundResult = this.endRound(playerName);
+            this.markChanged();
+            return { success: true, meld: newMeld, roundEnded: true, roundResult };
+        }
+        
+        this.recordEvent('makeMeld', { player: playerName, cardIndices, meldType });
+        this.turnState.tableActions.push(undoPoint);
+        this.markChanged();
+        return { success: true, meld: newMeld };
+    }
+
+    // Keep a meld's cards in table order after they change
+    sortMeld(meld) {
+        meld.cards = melds.sortMeldCards(meld, this.aceRuns);
+    }
+
+    // House rule: a player who is down may rebuild their own melds on the table, say to split
+    // a long run in two. `layout` lists the new melds as { cards, meldType }, where each card
+    // is a { meldIndex, cardIndex } position on the table. It must use every card of the melds
+    // it takes from exactly once; the rest stay as they are and the new melds go after them.
+    rearrangeMelds(playerName, layout) {
+        if (!this.rules.rearrangeMelds) {
+            return { success: false, message: "This game's rules don't allow rearranging melds" };
+        }
+
+        if (this.getCurrentPlayer() !== playerName) {
+            return { success: false, message: "Not your turn" };
+        }
+
+        const tableError = this.getTableBuildingError(playerName);
+        if (tableError) {
+            return { success: false, message: tableError };
+        }
+
+        if (!Array.isArray(layout) || layout.length === 0) {
+            return { success: false, message: "Invalid meld" };
+        }
+
+        const ownMelds = this.playerMelds.get(playerName);
+        const usedPositions = new Set();
+        const touched = new Set();
+        const newMelds = [];
+        for (const spec of layout) {
+            if (!spec || !Array.isArray(spec.cards) || (spec.meldType !== 'set' && spec.meldType !== 'run')) {
+                return { success: false, message: "Invalid meld" };
+            }
+            const cards = [];
+            for (const { meldIndex, cardIndex } of spec.cards.map(position => position || {})) {
+                const key = `${meldIndex}:${cardIndex}`;
+                if (!isIndexInto(ownMelds, meldIndex) || !isIndexInto(ownMelds[meldIndex].cards, cardIndex) || usedPositions.has(key)) {
+                    return { success: false, message: "Invalid card selection" };
+                }
+                usedPositions.add(key);
+                touched.add(meldIndex);
+                cards.push(ownMelds[meldIndex].cards[cardIndex]);
+            }
+
+            const arranged = this.arrangeMeld(cards, spec.meldType);
+            if (!arranged) {
+                return { success: false, message: `Invalid ${spec.meldType}` };
+            }
+            newMelds.push({ type: spec.meldType, arranged });
+        }
+
+        const cardsTaken = [...touched].reduce((total, index) => total + ownMelds[index].cards.length, 0);
+        if (usedPositions.size !== cardsTaken) {
+            return { success: false, message: "Use every card of the melds you rearrange" };
+        }
+
+        const kept = ownMelds.filter((meld, index) => !touched.has(index));
+        const proposed = [...kept, ...newMelds.map(meld => ({ type: meld.type, cards: meld.arranged.map(({ card }) => card) }))];
+        const requirements = this.getRoundRequirements();
+        if (!melds.checkRoundRequirements(proposed, requirements).meetsRequirements) {
+            return { success: false, message: `Your melds must still make the contract: ${requirements.melds}` };
+        }
+
+        const undoPoint = this.undoPoint(playerName, 'rearrangeMelds', [playerName]);
+        const rebuilt = newMelds.map(meld => ({
+            type: meld.type,
+            cards: meld.arranged.map(({ card, represents }) => {
+                card.represents = represents;
+                return card;
+            })
+        }));
+        rebuilt.forEach(meld => this.sortMeld(meld));
+        this.playerMelds.set(playerName, [...kept, ...rebuilt]);
+
+        console.log(`${playerName} rearranged ${touched.size} melds into ${rebuilt.length}`);
+        this.recordEvent('rearrangeMelds', {
+            player: playerName,
+            layout: layout.map(({ cards, meldType }) => ({ cards: cards.map(({ meldIndex, cardIndex }) => ({ meldIndex, cardIndex })), meldType }))
+        });
+        this.turnState.tableActions.push(undoPoint);
+        this.markChanged();
+        return { success: true, melds: rebuilt };
+    }
+
+    // What a table action is about to change: copies of the player's hand and of the
+    // melds it touches, so undoAction can put them back exactly as they were
+    undoPoint(playerName, action, meldOwners) {
+        return {
+            action,
+            hand: copyCards(this.playerHands.get(playerName)),
+            melds: Object.fromEntries(meldOwners.map(owner => [owner, copyMelds(this.playerMelds.get(owner))])),
+            goneDown: this.hasGoneDown(playerName),
+            wentDown: !!this.turnState.wentDown
+        };
+    }
+
+    // Take back the latest meld, lay-off, wild swap or rearrangement of this turn. Drawing ends what can be
+    // taken back, and so does discarding, since that ends the turn.
+    undoAction(playerName) {
+        if (this.getCurrentPlayer() !== playerName || this.turnState.buyPhase) {
+            return { success: false, message: "Not your turn" };
+        }
+        if (this.turnState.tableActions.length === 0) {
+            return { success: false, message: "Nothing to undo this turn" };
+        }
+
+        const { action, hand, melds: savedMelds, goneDown, wentDown } = this.turnState.tableActions.pop();
+        this.playerHands.set(playerName, hand);
+        Object.entries(savedMelds).forEach(([owner, ownerMelds]) => {
+            // A seat that has left the table since has nothing to restore
+            if (this.playerMelds.has(owner)) this.playerMelds.set(owner, ownerMelds);
+        });
+        this.playerGoneDown.set(playerName, goneDown);
+        this.turnState.wentDown = wentDown;
+
+        console.log(`${playerName} undid their ${action}`);
+        this.recordEvent('undo', { player: playerName, action });
+        this.markChanged();
+        return { success: true, action };
+    }
+
+    endRound(winner) {
+        this.finishTurnClock();
+        this.turnState.tableActions = [];
+        console.log(`=== ENDING ROUND ${this.currentRound} ===`);
+        console.log(`Winner: ${winner}`);
+        
+        this.players.forEach(player => {
+            let roundScore = 0;
+            const hand = this.playerHands.get(player);
+            
+            if (player !== winner) {
+                roundScore = scoring.scoreHand(hand, c => this.isWildCard(c), this.rules.scoring);
+                console.log(`${player} has ${hand.length} cards worth ${roundScore} points`);
+            } else {
+                console.log(`${winner} went out with 0 points`);
+            }
+
+            const scores = this.playerScores.get(player);
+            scores[this.currentRound - 1] = roundScore;
+        });
+        
+        this.recordEvent('roundEnd', {
+            round: this.currentRound,
+            winner,
+            scores: Object.fromEntries(this.players.map(player => [player, this.playerScores.get(player)[this.currentRound - 1]]))
+        });
+
+        if (this.currentRound >= this.rules.rounds.length) {
+            console.log(`🎉 GAME COMPLETE AFTER ${this.rules.rounds.length} ROUNDS! 🎉`);
+            const finalResults = this.endGame();
+            return { gameEnded: true, finalResults };
+        } else {
+            console.log(`Moving to round ${this.currentRound + 1}`);
+            this.currentRound++;
+            this.dealRound();
+            return { gameEnded: false, newRound: this.currentRound };
+        }
+    }
+
+    endGame() {
+        console.log(`=== ENDING GAME ===`);
+        
+        const { winner, winnerScore, finalStandings, playerStats } = scoring.tallyFinalScores(
+            this.players,
+            this.playerScores,
+            player => this.aiPlayers.has(player) || this.botPlayers.has(player)
+        );
+        
+        console.log(`🏆 GAME WINNER: ${winner} with ${winnerScore} points! 🏆`);
+        
+        this.gameComplete = true;
+        this.recordEvent('gameEnd', { winner, winnerScore, finalStandings });
+        
+        return {
+            winner,
+            winnerScore,
+            finalStandings,
+            playerStats,
+            gameComplete: true
+        };
+    }
+
+    reorderHand(playerName, cardOrder) {
+        const hand = this.playerHands.get(playerName);
+        if (!hand || !Array.isArray(cardOrder) || cardOrder.length !== hand.length) {
+            return { success: false, message: 'Invalid card order' };
+        }
+        
+        const validOrder = cardOrder.every(index => 
+            Number.isInteger(index) && index >= 0 && index < hand.length
+        );
+        const uniqueIndices = new Set(cardOrder);
+        if (!validOrder || uniqueIndices.size !== hand.length) {
+            return { success: false, message: 'Invalid card order' };
+        }
+        
+        this.playerHands.set(playerName, cardOrder.map(index => hand[index]));
+        this.recordEvent('reorderHand', { player: playerName, cardOrder });
+        this.markChanged();
+        return { success: true };
+    }
+
+    // What one player may see; see game-view.js
+    getGameState(playerName) {
+        return gameView.projectGameState(this, playerName);
+    }
+
+    getSpectatorState() {
+        return gameView.projectSpectatorState(this);
+    }
+
+    // Lay every hand face up for spectators. Players' own views don't change.
+    setOpenHands(enabled) {
+        if (this.openHands === !!enabled) return { success: true };
+        
+        this.openHands = !!enabled;
+        this.markChanged();
+        this.announce(this.openHands ? '👀 Spectators can now see every hand' : '🙈 Spectators can no longer see hands');
+        this.notifyUpdate();
+        return { success: true };
+    }
+}
+
+function isIndexInto(list, index) {
+    return Number.isInteger(index) && index >= 0 && index < list.length;
+}
+
+const copyCards = list => list.map(card => Card.fromJSON(card));
+const copyMelds = list => list.map(meld => ({ type: meld.type, cards: copyCards(meld.cards) }));
+
+// How each logged player action is re-applied during a replay. Events that follow
+// from an action (deals, reshuffles, round and game ends) happen again on their own.
+const REPLAY_ACTIONS = {
+    playerJoined: (game, event) => {
+        if (event.isAI) game.addAIPlayer(event.player, event.difficulty, event.playerId);
+        else if (event.isBot) game.addBotPlayer(event.player, event.bot, event.playerId);
+        else game.addPlayer(event.player, event.playerId);
+    },
+    playerLeft: (game, event) => game.removePlayer(event.player),
+    aiDifficultyChanged: (game, event) => game.setAIDifficulty(event.player, event.difficulty),
+    seatsReordered: (game, event) => game.reorderSeats(event.order),
+    hostChanged: (game, event) => game.transferHost(event.host),
+    gameStarted: (game) => game.startGame(),
+    draw: (game, event) => game.drawCard(event.player),
+    pickUpDiscard: (game, event) => game.pickUpDiscard(event.player),
+    buy: (game, event) => game.buyCard(event.player),
+    buyPhaseEnded: (game) => {
+        game.turnState.buyPhase = false;
+        game.turnState.buyStage = null;
+        game.turnState.buyRequests.clear();
+    },
+    reorderHand: (game, event) => game.reorderHand(event.player, event.cardOrder),
+    goDown: (game, event) => game.goDown(event.player, event.melds),
+    makeMeld: (game, event) => game.makeMeld(event.player, event.cardIndices, event.meldType),
+    layOff: (game, event) => game.layOffCard(event.player, event.cardIndex, event.targetPlayer, event.meldIndex),
+    swapWildCard: (game, event) => game.swapWildCard(event.player, event.cardIndex, event.targetPlayer, event.meldIndex),
+    rearrangeMelds: (game, event) => game.rearrangeMelds(event.player, event.layout),
+    undo: (game, event) => game.undoAction(event.player),
+    discard: (game, event) => game.discardCard(event.player, event.cardIndex)
+};
+
+module.exports = Game;
@@ -0,0 +1,142 @@
+const { runWindows } = require('./melds');
+
+// Hand planning for the AI: how close a hand is to the round's contract.
+// A plan gives each set and run the contract asks for a target (a rank, or a stretch
+// of one suit), fills it with natural cards from the hand, then spreads the wild cards
+// over whatever is still missing. The best plan needs the fewest cards, then leaves the
+// fewest penalty points in deadwood.
+
+// Natural cards of each rank, as set targets
+function setTargets(hand, isWild) {
+    const byRank = new Map();
+    hand.forEach((card, index) => {
+        if (isWild(card)) return;
+        if (!byRank.has(card.rank)) byRank.set(card.rank, []);
+        byRank.get(card.rank).push(index);
+    });
+    return Array.from(byRank.entries()).map(([rank, indices]) => ({ type: 'set', rank, groups: [indices] }));
+}
+
+// Stretches of one suit the hand already has a card in, as run targets.
+// Each group holds the cards of one rank in the stretch.
+function runTargets(hand, isWild, length, aceRuns) {
+    const targets = [];
+    const suits = new Set(hand.filter(card => !isWild(card)).map(card => card.suit));
+
+    suits.forEach(suit => {
+        runWindows(length, aceRuns).forEach(ranks => {
+            const groups = ranks.map(rank => hand
+                .map((card, index) => (!isWild(card) && card.suit === suit && card.rank === rank) ? index : -1)
+                .filter(index => index >= 0));
+            if (groups.some(group => group.length > 0)) targets.push({ type: 'run', suit, ranks, groups });
+        });
+    });
+    return targets;
+}
+
+function naturalCount(target) {
+    return target.type === 'set' ? target.groups[0].length : target.groups.filter(group => group.length > 0).length;
+}
+
+// The natural cards a target takes, leaving cards already used by earlier melds
+function fillTarget(target, size, used) {
+    if (target.type === 'set') {
+        return target.groups[0].filter(index => !used.has(index)).slice(0, size);
+    }
+    return target.groups
+        .map(group => group.find(index => !used.has(index)))
+        .filter(index => index !== undefined);
+}
+
+// Score a complete choice of targets
+function scorePlan(hand, chosen, wildIndices, penalty) {
+    // Wild cards may not outnumber the natural cards in a meld
+    let room = 0;
+    chosen.forEach(slot => {
+        if (slot.cardIndices.length > 0) room += Math.min(slot.missing, slot.cardIndices.length);
+    });
+    const wildsUsed = Math.min(wildIndices.length, room);
+    const needed = chosen.reduce((sum, slot) => sum + slot.missing, 0) - wildsUsed;
+
+    const used = new Set(chosen.flatMap(slot => slot.cardIndices));
+    wildIndices.forEach(index => used.add(index));
+
+    // Spare cards of a rank being set up will still go down with that set
+    const setRanks = new Set(chosen.filter(slot => slot.target && slot.type === 'set').map(slot => slot.target.rank));
+    const deadwood = hand
+        .map((card, index) => index)
+        .filter(index => !used.has(index) && !setRanks.has(hand[index].rank));
+
+    return {
+        needed,
+        slots: chosen,
+        deadwood,
+        deadwoodPoints: deadwood.reduce((sum, index) => sum + penalty(hand[index]), 0)
+    };
+}
+
+// How many partial plans one search may look at. Everyday contracts need a few hundred
+// at most; the cap keeps the biggest contracts house rules allow from stalling the server.
+const SEARCH_LIMIT = 1000;
+
+function isBetterPlan(plan, best) {
+    if (!best) return true;
+    if (plan.needed !== best.needed) return plan.needed < best.needed;
+    return plan.deadwoodPoints < best.deadwoodPoints;
+}
+
+// The closest the hand can get to `requirements`. `breadth` caps how many targets
+// are tried for each meld, strongest first, which is what separates AI difficulties.
+// Past `searchLimit` partial plans the search settles for the best plan found so far.
+// Returns { needed, slots, deadwood, deadwoodPoints }.
+function planContract(hand, requirements, { isWild, penalty, aceRuns = 'low', breadth = Infinity, searchLimit = SEARCH_LIMIT }) {
+    const slotTypes = [...Array(requirements.sets).fill('set'), ...Array(requirements.runs).fill('run')];
+    const sizes = { set: requirements.minSetSize, run: requirements.minRunSize };
+    const wildIndices = hand.map((card, index) => isWild(card) ? index : -1).filter(index => index >= 0);
+
+    const strongestFirst = (a, b) => naturalCount(b) - naturalCount(a);
+    const candidates = {
+        set: setTargets(hand, isWild).sort(strongestFirst).slice(0, breadth),
+        run: slotTypes.includes('run') ? runTargets(hand, isWild, sizes.run, aceRuns).sort(strongestFirst).slice(0, breadth) : []
+    };
+
+    let best = null;
+    let searched = 0;
+    const search = (slot, from, used, missingSoFar, chosen) => {
+        // Strongest targets come first, so the first complete plan is already a fair one
+        if (best && ++searched > searchLimit) return;
+        if (slot === slotTypes.length) {
+            const plan = scorePlan(hand, chosen, wildIndices, penalty);
+            if (isBetterPlan(plan, best)) best = plan;
+            return;
+        }
+
+        const type = slotTypes[slot];
+        const size = sizes[type];
+        const list = candidates[type];
+        // Melds of the same kind take targets in order, so each combination is tried once.
+        // Running past the end of the list leaves the meld to be built from scratch.
+        const start = slot > 0 && slotTypes[slot - 1] === type ? from : 0;
+        for (let c = start; c <= list.length; c++) {
+            const target = list[c] || null;
+            const cardIndices = target ? fillTarget(target, size, used) : [];
+            if (target && cardIndices.length === 0) continue;
+
+            // Even every wild card can't make this better than the best plan so far
+            const missing = size - cardIndices.length;
+            if (best && missingSoFar + missing - wildIndices.length > best.needed) continue;
+
+            const next = new Set(used);
+            cardIndices.forEach(index => next.add(index));
+            search(slot + 1, c, next, missingSoFar + missing, [...chosen, { type, target, cardIndices, missing }]);
+        }
+    };
+
+    search(0, 0, new Set(), 0, []);
+    return best;
+}
+
+module.exports = {
+    SEARCH_LIMIT,
+    planContract
+};
@@ -0,0 +1,36 @@
+// Public surface of the rules engine
+const constants = require('./constants');
+const { SeededRandom, generateSeed } = require('./random');
+const { systemClock, createVirtualClock } = require('./clock');
+const { DEFAULT_RULES, validateRules, cardsDealtForRound } = require('./rules');
+const Card = require('./card');
+const Deck = require('./deck');
+const AIPlayer = require('./ai-player');
+const Game = require('./game');
+const BotDriver = require('./bot-driver');
+const melds = require('./melds');
+const scoring = require('./scoring');
+const handPlanner = require('./hand-planner');
+const gameView = require('./game-view');
+const simulation = require('./simulation');
+
+module.exports = {
+    ...constants,
+    SeededRandom,
+    generateSeed,
+    systemClock,
+    createVirtualClock,
+    DEFAULT_RULES,
+    validateRules,
+    cardsDealtForRound,
+    Card,
+    Deck,
+    AIPlayer,
+    Game,
+    BotDriver,
+    melds,
+    scoring,
+    handPlanner,
+    gameView,
+    simulation
+};
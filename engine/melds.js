@@ -0,0 +1,206 @@
+const { RANKS, SUIT_SYMBOLS } = require('./constants');
+
+// Meld rules. `isWild` tells these helpers which cards are wild under the game's options,
+// and `aceRuns` where an ace may sit in a run (see ACE_RUN_OPTIONS).
+
+function describeRepresented(rank, suit) {
+    return {
+        rank,
+        suit,
+        display: rank + (suit ? SUIT_SYMBOLS[suit] : '')
+    };
+}
+
+// The order ranks run in. 'highOrLow' adds the ace again above the king;
+// 'wrap' lets a run carry on from the king round to the ace and 2.
+function getRunRanks(aceRuns = 'low') {
+    return {
+        ranks: aceRuns === 'highOrLow' ? [...RANKS, 'A'] : RANKS,
+        wraps: aceRuns === 'wrap'
+    };
+}
+
+// Every stretch of `length` ranks a run could cover, lowest first
+function runWindows(length, aceRuns) {
+    const { ranks, wraps } = getRunRanks(aceRuns);
+    const windows = [];
+    if (length > RANKS.length) return windows;
+
+    const lastStart = wraps ? ranks.length - 1 : ranks.length - length;
+    for (let start = 0; start <= lastStart; start++) {
+        windows.push(Array.from({ length }, (_, i) => ranks[(start + i) % ranks.length]));
+    }
+    return windows;
+}
+
+// The rank of each card in a run as it sits on the table
+function meldRanks(meld) {
+    return meld.cards.map(card => card.represents ? card.represents.rank : card.rank);
+}
+
+// Order the cards of a meld and work out what each wild card stands for.
+// Returns null when the cards can't form a meld of that type.
+function arrangeMeld(cards, meldType, isWild, aceRuns = 'low') {
+    if (meldType === 'set' && cards.length < 3) {
+        console.log(`Set validation failed: only ${cards.length} cards (need at least 3)`);
+        return null;
+    }
+
+    if (meldType === 'run' && cards.length < 4) {
+        console.log(`Run validation failed: only ${cards.length} cards (need at least 4)`);
+        return null;
+    }
+
+    const naturals = cards.filter(card => !isWild(card));
+    const wilds = cards.filter(card => isWild(card));
+
+    if (naturals.length === 0 || wilds.length > naturals.length) {
+        console.log(`${meldType} validation failed: ${wilds.length} wild cards with ${naturals.length} natural cards`);
+        return null;
+    }
+
+    if (meldType === 'set') {
+        const rank = naturals[0].rank;
+        const isValid = naturals.every(card => card.rank === rank);
+        console.log(`Set validation: rank ${rank}, all same? ${isValid}`);
+        if (!isValid) return null;
+
+        return [
+            ...naturals.map(card => ({ card, represents: null })),
+            ...wilds.map(card => ({ card, represents: describeRepresented(rank, null) }))
+        ];
+    } else if (meldType === 'run') {
+        const suit = naturals[0].suit;
+        if (!naturals.every(card => card.suit === suit)) {
+            console.log(`Run validation failed: not all same suit`);
+            return null;
+        }
+
+        const naturalRanks = naturals.map(card => card.rank);
+        if (new Set(naturalRanks).size !== naturalRanks.length) {
+            console.log(`Run validation failed: duplicate rank`);
+            return null;
+        }
+
+        // Of the stretches that hold every natural card, prefer one that starts with a
+        // natural card, so spare wilds extend the top
+        const fits = runWindows(cards.length, aceRuns).filter(stretch => naturalRanks.every(rank => stretch.includes(rank)));
+        if (fits.length === 0) {
+            console.log(`Run validation failed: cards don't fit one run with ace ${aceRuns}`);
+            return null;
+        }
+        const leadingWilds = stretch => stretch.findIndex(rank => naturalRanks.includes(rank));
+        const stretch = fits.reduce((best, candidate) => leadingWilds(candidate) < leadingWilds(best) ? candidate : best);
+
+        const remainingWilds = [...wilds];
+        const arranged = stretch.map(rank => {
+            const natural = naturals.find(card => card.rank === rank);
+            if (natural) return { card: natural, represents: null };
+            return { card: remainingWilds.shift(), represents: describeRepresented(rank, suit) };
+        });
+        console.log(`Run validation: passed`);
+        return arranged;
+    }
+    return null;
+}
+
+// Where a card would go on an existing meld, and what it stands for if it is wild
+function getLayOffPlacement(card, meld, isWild, aceRuns = 'low') {
+    const cardIsWild = isWild(card);
+    const naturals = meld.cards.filter(meldCard => !meldCard.represents);
+    const wildCount = meld.cards.length - naturals.length;
+
+    // Wild cards may never outnumber the natural cards in a meld
+    if (cardIsWild && wildCount + 1 > naturals.length) return null;
+
+    if (meld.type === 'set') {
+        // Card must match the rank of the set
+        const rank = naturals[0].rank;
+        if (cardIsWild) return { represents: describeRepresented(rank, null), atStart: false };
+        return card.rank === rank ? { represents: null, atStart: false } : null;
+    } else if (meld.type === 'run') {
+        // Card must extend the run (same suit, next rank at either end)
+        const suit = naturals[0].suit;
+        const ranks = meldRanks(meld);
+        const below = runWindows(ranks.length + 1, aceRuns).find(stretch => sameRanks(stretch.slice(1), ranks));
+        const above = runWindows(ranks.length + 1, aceRuns).find(stretch => sameRanks(stretch.slice(0, -1), ranks));
+        const lowRank = below ? below[0] : null;
+        const highRank = above ? above[above.length - 1] : null;
+
+        if (cardIsWild) {
+            if (highRank) return { represents: describeRepresented(highRank, suit), atStart: false };
+            if (lowRank) return { represents: describeRepresented(lowRank, suit), atStart: true };
+            return null;
+        }
+
+        if (card.suit !== suit) return null;
+
+        // Check if card extends the run at either end
+        if (card.rank === lowRank) return { represents: null, atStart: true };
+        if (card.rank === highRank) return { represents: null, atStart: false };
+    }
+
+    return null;
+}
+
+// A meld's cards in table order: a set's natural cards by suit with its wilds after them,
+// a run from its lowest rank up
+function sortMeldCards(meld, aceRuns = 'low') {
+    if (meld.type === 'set') {
+        const suits = Object.keys(SUIT_SYMBOLS);
+        const naturals = meld.cards.filter(card => !card.represents).sort((a, b) => suits.indexOf(a.suit) - suits.indexOf(b.suit));
+        return [...naturals, ...meld.cards.filter(card => card.represents)];
+    }
+
+    const ranks = meldRanks(meld);
+    const fits = runWindows(ranks.length, aceRuns).filter(stretch => ranks.every(rank => stretch.includes(rank)));
+    if (fits.length === 0) return meld.cards;
+    // A run of every rank that wraps fits several stretches; keep the one it already starts on
+    const stretch = fits.find(candidate => candidate[0] === ranks[0]) || fits[0];
+    const position = card => stretch.indexOf(card.represents ? card.represents.rank : card.rank);
+    return [...meld.cards].sort((a, b) => position(a) - position(b));
+}
+
+function sameRanks(a, b) {
+    return a.length === b.length && a.every((rank, i) => rank === b[i]);
+}
+
+// Count the melds that satisfy a round's contract
+function checkRoundRequirements(melds, requirements) {
+    let validSets = 0;
+    let validRuns = 0;
+
+    melds.forEach(meld => {
+        if (meld.type === 'set' && meld.cards.length >= requirements.minSetSize) {
+            validSets++;
+            console.log(`✅ Valid set found: ${meld.cards.length} cards`);
+        } else if (meld.type === 'run' && meld.cards.length >= requirements.minRunSize) {
+            validRuns++;
+            console.log(`✅ Valid run found: ${meld.cards.length} cards`);
+        } else {
+            console.log(`❌ Invalid meld: ${meld.type} with ${meld.cards.length} cards`);
+        }
+    });
+
+    const hasRequiredSets = validSets >= requirements.sets;
+    const hasRequiredRuns = validRuns >= requirements.runs;
+
+    return {
+        meetsRequirements: hasRequiredSets && hasRequiredRuns,
+        hasRequiredSets,
+        hasRequiredRuns,
+        validSets,
+        validRuns,
+        requirements
+    };
+}
+
+module.exports = {
+    describeRepresented,
+    getRunRanks,
+    runWindows,
+    arrangeMeld,
+    getLayOffPlacement,
+    sortMeldCards,
+    checkRoundRequirements
+};
@@ -0,0 +1,34 @@
+// Small seedable PRNG (mulberry32) so a deal can be reproduced from its seed
+class SeededRandom {
+    constructor(seed, state) {
+        this.state = state !== undefined ? state : SeededRandom.hashSeed(String(seed));
+    }
+
+    // FNV-1a hash of the seed string into a 32-bit starting state
+    static hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Returns a float in [0, 1), like Math.random()
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+function generateSeed() {
+    return Math.random().toString(36).substring(2, 12);
+}
+
+module.exports = {
+    SeededRandom,
+    generateSeed
+};
@@ -0,0 +1,169 @@
+const { ROUND_REQUIREMENTS, BUY_TIME_LIMIT_MS, TURN_TIME_LIMIT_MS, WILD_SCORE_VALUES } = require('./constants');
+
+// House rules a game is created with. Anything left out falls back to these.
+const DEFAULT_RULES = {
+    rounds: ROUND_REQUIREMENTS,
+    buysPerRound: 3,
+    cardsDealt: { base: 10, perRound: 1 }, // round N deals base + N * perRound
+    decks: 2,
+    buyTimeLimitMs: BUY_TIME_LIMIT_MS,
+    turnTimeLimitMs: TURN_TIME_LIMIT_MS, // 0 plays without a turn clock
+    rearrangeMelds: false, // players who are down may rebuild their own melds, e.g. split a long run
+    scoring: {
+        ace: 20,
+        face: 10,
+        joker: WILD_SCORE_VALUES.joker,
+        wildDeuce: WILD_SCORE_VALUES.deuce
+    }
+};
+
+// Bounds that keep a game playable
+const LIMITS = {
+    rounds: [1, 20],
+    setsOrRuns: [0, 5],
+    minSetSize: [3, 8],
+    minRunSize: [4, 13],
+    buysPerRound: [0, 10],
+    cardsDealtBase: [1, 20],
+    cardsDealtPerRound: [0, 5],
+    decks: [1, 4],
+    buyTimeLimitMs: [2000, 60000],
+    turnTimeLimitMs: [15000, 600000],
+    score: [0, 100]
+};
+
+function isIntegerBetween(value, [min, max]) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function describeContract(sets, runs, minSetSize, minRunSize) {
+    const parts = [];
+    if (sets > 0) parts.push(`${sets} Set${sets > 1 ? 's' : ''} of ${minSetSize}`);
+    if (runs > 0) parts.push(`${runs} Run${runs > 1 ? 's' : ''} of ${minRunSize}`);
+    return parts.join(' + ');
+}
+
+// One custom round: { sets, runs } plus optional minimum meld sizes and wording
+function validateRound(round, index) {
+    const label = `Round ${index + 1}`;
+    if (!round || typeof round !== 'object') {
+        return { success: false, message: `${label} must be an object` };
+    }
+
+    const { sets = 0, runs = 0, minSetSize = 3, minRunSize = 4 } = round;
+    if (!isIntegerBetween(sets, LIMITS.setsOrRuns) || !isIntegerBetween(runs, LIMITS.setsOrRuns)) {
+        return { success: false, message: `${label} needs whole numbers of sets and runs up to ${LIMITS.setsOrRuns[1]}` };
+    }
+    if (sets + runs === 0) {
+        return { success: false, message: `${label} needs at least one set or run` };
+    }
+    // A size only matters for the kind of meld the round asks for; an unused one is stored as 0
+    if ((sets > 0 && !isIntegerBetween(minSetSize, LIMITS.minSetSize)) ||
+        (runs > 0 && !isIntegerBetween(minRunSize, LIMITS.minRunSize))) {
+        return { success: false, message: `${label} has an invalid minimum meld size` };
+    }
+
+    const melds = typeof round.melds === 'string' && round.melds.trim()
+        ? round.melds.trim().slice(0, 60)
+        : describeContract(sets, runs, minSetSize, minRunSize);
+    const description = typeof round.description === 'string' && round.description.trim()
+        ? round.description.trim().slice(0, 120)
+        : melds;
+
+    return {
+        success: true,
+        round: {
+            round: index + 1,
+            melds,
+            description,
+            sets,
+            runs,
+            minSetSize: sets > 0 ? minSetSize : 0,
+            minRunSize: runs > 0 ? minRunSize : 0
+        }
+    };
+}
+
+// Check a rules object from a client and fill in defaults.
+// Returns { success: true, rules } or { success: false, message }.
+function validateRules(input) {
+    if (input === undefined || input === null) {
+        return { success: true, rules: DEFAULT_RULES };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { success: false, message: 'Rules must be an object' };
+    }
+
+    const unknown = Object.keys(input).filter(key => !(key in DEFAULT_RULES));
+    if (unknown.length > 0) {
+        return { success: false, message: `Unknown rules: ${unknown.join(', ')}` };
+    }
+
+    const isSection = value => value === undefined || (typeof value === 'object' && value !== null && !Array.isArray(value));
+    if (!isSection(input.cardsDealt) || !isSection(input.scoring)) {
+        return { success: false, message: 'Cards dealt and scoring must be objects' };
+    }
+
+    const rules = {
+        ...DEFAULT_RULES,
+        cardsDealt: { ...DEFAULT_RULES.cardsDealt, ...(input.cardsDealt || {}) },
+        scoring: { ...DEFAULT_RULES.scoring, ...(input.scoring || {}) }
+    };
+
+    if (input.rounds !== undefined) {
+        if (!Array.isArray(input.rounds) || !isIntegerBetween(input.rounds.length, LIMITS.rounds)) {
+            return { success: false, message: `Rounds must be a list of ${LIMITS.rounds[0]} to ${LIMITS.rounds[1]} rounds` };
+        }
+        const rounds = [];
+        for (let i = 0; i < input.rounds.length; i++) {
+            const result = validateRound(input.rounds[i], i);
+            if (!result.success) return result;
+            rounds.push(result.round);
+        }
+        rules.rounds = rounds;
+    }
+
+    if (input.buysPerRound !== undefined) rules.buysPerRound = input.buysPerRound;
+    if (input.decks !== undefined) rules.decks = input.decks;
+    if (input.buyTimeLimitMs !== undefined) rules.buyTimeLimitMs = input.buyTimeLimitMs;
+    if (input.turnTimeLimitMs !== undefined) rules.turnTimeLimitMs = input.turnTimeLimitMs;
+    if (input.rearrangeMelds !== undefined) rules.rearrangeMelds = input.rearrangeMelds;
+
+    if (!isIntegerBetween(rules.buysPerRound, LIMITS.buysPerRound)) {
+        return { success: false, message: `Buys per round must be between ${LIMITS.buysPerRound[0]} and ${LIMITS.buysPerRound[1]}` };
+    }
+    if (!isIntegerBetween(rules.decks, LIMITS.decks)) {
+        return { success: false, message: `Decks must be between ${LIMITS.decks[0]} and ${LIMITS.decks[1]}` };
+    }
+    if (!isIntegerBetween(rules.buyTimeLimitMs, LIMITS.buyTimeLimitMs)) {
+        return { success: false, message: `Buy time limit must be between ${LIMITS.buyTimeLimitMs[0]} and ${LIMITS.buyTimeLimitMs[1]} ms` };
+    }
+    if (rules.turnTimeLimitMs !== 0 && !isIntegerBetween(rules.turnTimeLimitMs, LIMITS.turnTimeLimitMs)) {
+        return { success: false, message: `Turn time limit must be 0 (no clock) or between ${LIMITS.turnTimeLimitMs[0]} and ${LIMITS.turnTimeLimitMs[1]} ms` };
+    }
+    if (typeof rules.rearrangeMelds !== 'boolean') {
+        return { success: false, message: 'Rearrange melds must be true or false' };
+    }
+    if (Object.keys(rules.cardsDealt).length !== 2 ||
+        !isIntegerBetween(rules.cardsDealt.base, LIMITS.cardsDealtBase) ||
+        !isIntegerBetween(rules.cardsDealt.perRound, LIMITS.cardsDealtPerRound)) {
+        return { success: false, message: 'Cards dealt needs a whole base and per-round count' };
+    }
+    const scoringKeys = Object.keys(DEFAULT_RULES.scoring);
+    if (Object.keys(rules.scoring).some(key => !scoringKeys.includes(key)) ||
+        scoringKeys.some(key => !isIntegerBetween(rules.scoring[key], LIMITS.score))) {
+        return { success: false, message: `Scoring takes whole points from 0 to ${LIMITS.score[1]} for ${scoringKeys.join(', ')}` };
+    }
+
+    return { success: true, rules };
+}
+
+function cardsDealtForRound(rules, round) {
+    return rules.cardsDealt.base + round * rules.cardsDealt.perRound;
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    validateRules,
+    cardsDealtForRound
+};
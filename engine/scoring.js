@@ -0,0 +1,52 @@
+const { DEFAULT_RULES } = require('./rules');
+
+// Penalty points for a card left in hand when someone goes out.
+// `values` is the scoring section of the game's rules.
+function getCardPenalty(card, isWild, values = DEFAULT_RULES.scoring) {
+    if (card.isJoker()) return values.joker;
+    if (isWild(card)) return values.wildDeuce;
+    if (card.rank === 'A') return values.ace;
+    if (card.rank === 'J' || card.rank === 'Q' || card.rank === 'K') return values.face;
+    return parseInt(card.rank);
+}
+
+function scoreHand(hand, isWild, values = DEFAULT_RULES.scoring) {
+    return hand.reduce((sum, card) => sum + getCardPenalty(card, isWild, values), 0);
+}
+
+// Totals, rounds won and standings once every round has been played. Lowest total wins.
+function tallyFinalScores(players, playerScores, isAI) {
+    const finalScores = new Map();
+    const playerStats = new Map();
+
+    players.forEach(player => {
+        const scores = playerScores.get(player);
+        const total = scores.reduce((sum, score) => sum + score, 0);
+        const roundsWon = scores.filter(score => score === 0).length;
+
+        finalScores.set(player, total);
+        playerStats.set(player, {
+            total,
+            roundsWon,
+            scores: [...scores],
+            isAI: isAI(player)
+        });
+
+        console.log(`${player} final score: ${total} (won ${roundsWon} rounds) ${isAI(player) ? '[AI]' : '[Human]'}`);
+    });
+
+    const finalStandings = Array.from(finalScores.entries()).sort((a, b) => a[1] - b[1]);
+
+    return {
+        winner: finalStandings[0][0],
+        winnerScore: finalStandings[0][1],
+        finalStandings,
+        playerStats: Object.fromEntries(playerStats)
+    };
+}
+
+module.exports = {
+    getCardPenalty,
+    scoreHand,
+    tallyFinalScores
+};
@@ -0,0 +1,133 @@
+const { DEFAULT_RULES } = require('./rules');
+const { createVirtualClock } = require('./clock');
+const Game = require('./game');
+
+// Headless bot-vs-bot games for tuning the AI and trying out house rules.
+// Every game runs on a virtual clock, so AI "thinking" delays cost nothing,
+// and deals follow from the seed, so a run can be repeated exactly.
+
+// A game that hasn't finished after this many timers is stuck
+const MAX_STEPS_PER_GAME = 100000;
+
+// Play one game between AI entrants, seated in the given order.
+// `entrants` is a list of { name, difficulty }.
+function simulateGame(entrants, { seed, rules = DEFAULT_RULES, wildCards, aceRuns } = {}) {
+    const clock = createVirtualClock();
+    const game = new Game('SIM', entrants[0].name, 0, { seed, rules, wildCards, aceRuns, clock });
+    entrants.forEach(({ name, difficulty }) => game.addAIPlayer(name, difficulty));
+
+    const start = game.startGame();
+    if (!start.success) {
+        game.dispose();
+        return { seed, completed: false, error: start.message };
+    }
+
+    let steps = 0;
+    while (!game.gameComplete && steps < MAX_STEPS_PER_GAME && clock.runNext()) {
+        steps++;
+    }
+
+    const result = {
+        seed,
+        completed: game.gameComplete,
+        winner: null,
+        scores: Object.fromEntries(game.players.map(player => [player, [...game.playerScores.get(player)]])),
+        buys: Object.fromEntries(game.players.map(player => [player, 0])),
+        roundTurns: []
+    };
+
+    // Turns per round are the draws and discard pick-ups between deals
+    game.eventLog.forEach(event => {
+        if (event.type === 'deal') result.roundTurns.push(0);
+        if (event.type === 'draw' || event.type === 'pickUpDiscard') result.roundTurns[result.roundTurns.length - 1]++;
+        if (event.type === 'buy') result.buys[event.player]++;
+        if (event.type === 'gameEnd') result.winner = event.winner;
+    });
+    // An unfinished game's last round never ended
+    if (!game.gameComplete) result.roundTurns.pop();
+
+    game.dispose();
+    return result;
+}
+
+// Play `games` games, moving everyone one seat along each game so nobody always starts
+function runSimulation({ entrants, games, seed = 'sim', rules = DEFAULT_RULES, wildCards, aceRuns, onGame = () => {} }) {
+    const results = [];
+    for (let i = 0; i < games; i++) {
+        const seating = entrants.map((_, seat) => entrants[(seat + i) % entrants.length]);
+        const result = simulateGame(seating, { seed: `${seed}:${i}`, rules, wildCards, aceRuns });
+        results.push(result);
+        onGame(result, i);
+    }
+    return summarizeSimulation(results, entrants, rules);
+}
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Win rates, scores, buys and round lengths across finished games
+function summarizeSimulation(results, entrants, rules = DEFAULT_RULES) {
+    const finished = results.filter(result => result.completed);
+    const roundCount = rules.rounds.length;
+
+    const players = entrants.map(({ name, difficulty }) => {
+        const totals = finished.map(result => result.scores[name].reduce((sum, score) => sum + score, 0));
+        const wins = finished.filter(result => result.winner === name).length;
+        return {
+            name,
+            difficulty,
+            wins,
+            winRate: round2(finished.length > 0 ? wins / finished.length : 0),
+            averageTotalScore: round2(average(totals)),
+            averageRoundScore: round2(average(totals) / roundCount),
+            roundsWon: finished.reduce((sum, result) => sum + result.scores[name].filter(score => score === 0).length, 0),
+            buysPerRound: round2(average(finished.map(result => result.buys[name])) / roundCount)
+        };
+    });
+
+    const rounds = rules.rounds.map((round, index) => ({
+        round: index + 1,
+        contract: round.melds,
+        averageTurns: round2(average(finished.map(result => result.roundTurns[index]))),
+        averageScore: round2(average(finished.flatMap(result => entrants.map(({ name }) => result.scores[name][index]))))
+    }));
+
+    return {
+        games: results.length,
+        completed: finished.length,
+        unfinished: results.filter(result => !result.completed).map(result => result.error ? `${result.seed}: ${result.error}` : result.seed),
+        players,
+        rounds
+    };
+}
+
+// Spreadsheet-friendly version: one table of players, a blank line, then one of rounds
+function simulationToCsv(summary) {
+    const table = rows => rows.map(row => row.map(cell => {
+        const text = String(cell);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n');
+
+    const players = table([
+        ['name', 'difficulty', 'games', 'wins', 'winRate', 'averageTotalScore', 'averageRoundScore', 'roundsWon', 'buysPerRound'],
+        ...summary.players.map(p => [p.name, p.difficulty, summary.completed, p.wins, p.winRate, p.averageTotalScore, p.averageRoundScore, p.roundsWon, p.buysPerRound])
+    ]);
+    const rounds = table([
+        ['round', 'contract', 'averageTurns', 'averageScore'],
+        ...summary.rounds.map(r => [r.round, r.contract, r.averageTurns, r.averageScore])
+    ]);
+
+    return `${players}\n\n${rounds}\n`;
+}
+
+module.exports = {
+    simulateGame,
+    runSimulation,
+    summarizeSimulation,
+    simulationToCsv
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+const { MAX_BOT_NAME_LENGTH } = require('../engine');
+
+// Plug-in bots: one JavaScript module per file in a directory, named after the file
+// (bots/set-collector.js is "set-collector"). See bots/README.md for writing one.
+// Longer names than MAX_BOT_NAME_LENGTH are skipped: their seat names wouldn't fit.
+const BOT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+class BotLibrary {
+    constructor(botsDir) {
+        this.botsDir = path.resolve(botsDir);
+    }
+
+    list() {
+        if (!fs.existsSync(this.botsDir)) return [];
+        return fs.readdirSync(this.botsDir)
+            .filter(file => file.endsWith('.js'))
+            .map(file => file.slice(0, -3))
+            .filter(name => BOT_NAME_PATTERN.test(name) && name.length <= MAX_BOT_NAME_LENGTH)
+            .sort();
+    }
+
+    // A bot for one seat, as { success, bot } or { success: false, message }. A module
+    // exporting createBot() gets a fresh bot per seat; otherwise the module is the bot.
+    load(botName) {
+        if (typeof botName !== 'string' || !this.list().includes(botName)) {
+            return { success: false, message: `No bot called ${botName}` };
+        }
+
+        try {
+            const plugin = require(path.join(this.botsDir, `${botName}.js`));
+            const bot = typeof plugin.createBot === 'function' ? plugin.createBot() : plugin;
+            if (!bot || typeof bot.decide !== 'function') {
+                return { success: false, message: `Bot ${botName} has no decide() function` };
+            }
+            return { success: true, bot };
+        } catch (error) {
+            console.error(`Failed to load bot ${botName}:`, error);
+            return { success: false, message: `Bot ${botName} failed to load: ${error.message}` };
+        }
+    }
+}
+
+module.exports = BotLibrary;
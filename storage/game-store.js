@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { Game } = require('../engine');
+
+// Game snapshots on disk, one JSON file per game, so a restart doesn't lose games in progress
+class GameStore {
+    constructor(dataDir) {
+        this.gamesDir = path.join(dataDir, 'games');
+    }
+
+    snapshotPath(gameCode) {
+        return path.join(this.gamesDir, `${gameCode}.json`);
+    }
+
+    save(game) {
+        try {
+            fs.mkdirSync(this.gamesDir, { recursive: true });
+            const filePath = this.snapshotPath(game.gameCode);
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(game));
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            console.error(`Failed to save game ${game.gameCode}:`, error);
+        }
+    }
+
+    remove(gameCode) {
+        try {
+            fs.rmSync(this.snapshotPath(gameCode), { force: true });
+        } catch (error) {
+            console.error(`Failed to delete saved game ${gameCode}:`, error);
+        }
+    }
+
+    // Save a game once the current action has finished changing it.
+    // `isActive` guards against resurrecting a game deleted while a save was pending.
+    watch(game, isActive) {
+        let savePending = false;
+        
+        game.on('stateChanged', () => {
+            if (savePending) return;
+            savePending = true;
+            
+            setImmediate(() => {
+                savePending = false;
+                if (isActive()) this.save(game);
+            });
+        });
+    }
+
+    loadAll() {
+        if (!fs.existsSync(this.gamesDir)) return [];
+        
+        const restored = [];
+        fs.readdirSync(this.gamesDir).filter(file => file.endsWith('.json')).forEach(file => {
+            try {
+                restored.push(Game.fromJSON(JSON.parse(fs.readFileSync(path.join(this.gamesDir, file), 'utf8'))));
+            } catch (error) {
+                console.error(`Failed to restore saved game ${file}:`, error);
+            }
+        });
+        return restored;
+    }
+}
+
+module.exports = GameStore;
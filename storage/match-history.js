@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Completed games and the player profiles they count towards, kept in one JSON file so
+// stats last across restarts. A browser holds its profile's secret token; stats are
+// published under the profile's public ID. Only a hash of each token is ever written.
+class MatchHistory {
+    constructor(dataDir) {
+        this.filePath = path.join(dataDir, 'history.json');
+        this.profiles = new Map(); // profile ID -> { profileId, name, createdAt }
+        this.profileTokens = new Map(); // hash of a secret profile token -> profile ID
+        this.matches = []; // oldest first
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            data.profiles.forEach(profile => this.profiles.set(profile.profileId, profile));
+            this.profileTokens = new Map(data.profileTokens);
+            this.matches = data.matches;
+        } catch (error) {
+            console.error('Failed to load match history:', error);
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({
+                profiles: Array.from(this.profiles.values()),
+                profileTokens: Array.from(this.profileTokens.entries()),
+                matches: this.matches
+            }));
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            console.error('Failed to save match history:', error);
+        }
+    }
+
+    // The profile a token belongs to, or a new one for a token we don't know.
+    // The profile takes the name the player is sitting down under.
+    profileFor(profileToken, playerName) {
+        let profileId = profileToken ? this.profileTokens.get(hashToken(profileToken)) : null;
+        if (!profileId) {
+            profileToken = uuidv4();
+            profileId = uuidv4();
+            this.profileTokens.set(hashToken(profileToken), profileId);
+            this.profiles.set(profileId, { profileId, name: playerName, createdAt: Date.now() });
+            console.log(`New player profile for ${playerName}`);
+        }
+
+        this.profiles.get(profileId).name = playerName;
+        this.save();
+        return { profileId, profileToken };
+    }
+
+    // Record the game when its last round ends
+    watch(game) {
+        game.on('roundEnded', roundResult => {
+            if (roundResult.gameEnded && roundResult.finalResults) this.recordMatch(game, roundResult.finalResults);
+        });
+    }
+
+    recordMatch(game, finalResults) {
+        const created = game.eventLog[0];
+        const matchId = `${game.gameCode}-${created.timestamp}`;
+        if (this.matches.some(match => match.matchId === matchId)) return null;
+
+        const buysUsed = player => game.eventLog.filter(event => event.type === 'buy' && event.player === player).length;
+        const place = player => finalResults.finalStandings.findIndex(([name]) => name === player) + 1;
+
+        const match = {
+            matchId,
+            gameCode: game.gameCode,
+            startedAt: created.timestamp,
+            endedAt: game.clock.now(),
+            rounds: game.rules.rounds.length,
+            winner: finalResults.winner,
+            players: game.players.map(player => {
+                const { total, roundsWon, scores, isAI } = finalResults.playerStats[player];
+                return {
+                    name: player,
+                    profileId: game.getPlayerProfile(player),
+                    isAI,
+                    total,
+                    scores,
+                    zeroRounds: roundsWon,
+                    buysUsed: buysUsed(player),
+                    place: place(player)
+                };
+            })
+        };
+
+        this.matches.push(match);
+        this.save();
+        console.log(`Recorded match ${matchId}, won by ${match.winner}`);
+        return match;
+    }
+
+    // Lifetime stats for one profile, or null if there is no such profile
+    playerStats(profileId) {
+        const profile = this.profiles.get(profileId);
+        if (!profile) return null;
+
+        const seats = this.matches
+            .map(match => match.players.find(player => player.profileId === profileId))
+            .filter(Boolean);
+        const roundScores = [];
+        seats.forEach(seat => seat.scores.forEach((score, round) => {
+            roundScores[round] = roundScores[round] || [];
+            roundScores[round].push(score);
+        }));
+
+        return {
+            profileId,
+            name: profile.name,
+            gamesPlayed: seats.length,
+            wins: seats.filter(seat => seat.place === 1).length,
+            averageScore: average(seats.map(seat => seat.total)),
+            // Index 0 is round 1; a round no game of theirs reached is null
+            averageScoreByRound: Array.from(roundScores, scores => scores ? average(scores) : null),
+            zeroRounds: sum(seats.map(seat => seat.zeroRounds)),
+            buysUsed: sum(seats.map(seat => seat.buysUsed)),
+            bestScore: seats.length > 0 ? Math.min(...seats.map(seat => seat.total)) : null
+        };
+    }
+
+    // Everyone who has finished a game: most wins first, then the lowest average score
+    leaderboard() {
+        return Array.from(this.profiles.keys())
+            .map(profileId => this.playerStats(profileId))
+            .filter(stats => stats.gamesPlayed > 0)
+            .sort((a, b) => b.wins - a.wins || a.averageScore - b.averageScore);
+    }
+
+    recentMatches(limit = 20) {
+        return this.matches.slice(-limit).reverse();
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+// Rounded to one decimal place; null with nothing to average
+function average(values) {
+    return values.length > 0 ? Math.round(sum(values) / values.length * 10) / 10 : null;
+}
+
+module.exports = MatchHistory;
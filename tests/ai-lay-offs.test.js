@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, AIPlayer, createVirtualClock } = require('../engine');
+const { silenceLogs, createGame, card, meld, displays, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+// Mom went down with two sets on an earlier turn and has drawn; Dad has a run of hearts on the table
+function downWithHand(codes, options = {}) {
+    const game = createGame({ options, hands: { Mom: codes } });
+    game.aiPlayers.set('Mom', new AIPlayer('Mom', 'medium'));
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['KH', 'KS', 'KD']));
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['4S', '4D', '4C']));
+    game.playerMelds.get('Dad').push(meld(game, 'run', ['5H', '6H', '7H', '8H']));
+    game.playerGoneDown.set('Mom', true);
+    game.playerGoneDown.set('Dad', true);
+    game.turnState.hasDrawn = true;
+    return game;
+}
+
+test('an AI finds lay-offs on any player\'s melds', () => {
+    const game = downWithHand(['3C', '4H', 'KC']);
+    const ai = game.aiPlayers.get('Mom');
+
+    const first = ai.chooseLayOff(game);
+    assert.deepEqual(first, { cardIndex: 2, targetPlayer: 'Mom', meldIndex: 0 });
+
+    game.playerHands.set('Mom', [card('3C')]);
+    assert.equal(ai.chooseLayOff(game), null);
+});
+
+test('an AI lays off everything it can, chaining along a run', () => {
+    const game = downWithHand(['10H', '3C', '9H', 'KC', 'QD']);
+
+    game.tryAIMelds('Mom');
+
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['3♣', 'Q♦']);
+    assert.deepEqual(displays(game.playerMelds.get('Dad')[0].cards), ['5♥', '6♥', '7♥', '8♥', '9♥', '10♥']);
+    assert.equal(game.playerMelds.get('Mom')[0].cards.length, 4);
+});
+
+test('an AI plays natural cards before wild cards', () => {
+    const game = downWithHand(['JK', '9H', '3C'], { wildCards: 'jokers' });
+
+    game.tryAIMelds('Mom');
+
+    // The joker would have fitted the 9 of the run; the natural 9 got there first
+    const run = game.playerMelds.get('Dad')[0].cards;
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['3♣']);
+    assert.equal(run[4].display, '9♥');
+    assert.equal(run[4].represents, null);
+});
+
+test('an AI goes out by laying off its last card', () => {
+    const game = downWithHand(['9H', 'KC']);
+    const ended = [];
+    game.on('roundEnded', result => ended.push(result));
+
+    game.tryAIMelds('Mom');
+
+    assert.equal(ended.length, 1);
+    assert.equal(game.currentRound, 2);
+    assert.equal(game.playerScores.get('Mom')[0], 0);
+});
+
+test('an AI goes out with its discard once one card is left', () => {
+    const game = downWithHand(['9H', 'QC']);
+    const ended = [];
+    game.on('roundEnded', result => ended.push(result));
+
+    game.tryAIMelds('Mom');
+    game.aiDiscardCard('Mom');
+
+    assert.equal(ended.length, 1);
+    assert.equal(game.playerScores.get('Mom')[0], 0);
+});
+
+test('an AI that is down takes a discard it can lay off', () => {
+    const game = downWithHand(['3C', 'QD']);
+    const ai = game.aiPlayers.get('Mom');
+
+    assert.equal(ai.shouldTakeDiscard(game, card('4H')), true);
+    assert.equal(ai.shouldTakeDiscard(game, card('3C')), false);
+});
+
+test('a table of AI players plays a whole game to the end', () => {
+    const clock = createVirtualClock();
+    const game = new Game('BOTS01', 'Nobody', 3, { seed: 'all-bots', clock });
+    game.startGame();
+
+    for (let i = 0; i < 5000 && !game.gameComplete; i++) {
+        clock.advance(1000);
+    }
+
+    assert.equal(game.gameComplete, true);
+    assert.equal(game.playerScores.get(game.players[0]).length, game.rules.rounds.length);
+    game.dispose();
+});
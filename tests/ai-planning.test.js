@@ -0,0 +1,134 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AIPlayer, handPlanner, validateRules, createVirtualClock } = require('../engine');
+const { silenceLogs, createGame, card, cards, meld, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+function plan(game, codes) {
+    return handPlanner.planContract(cards(...codes), game.getRoundRequirements(), {
+        isWild: c => game.isWildCard(c),
+        penalty: c => game.getCardPenalty(c),
+        aceRuns: game.aceRuns
+    });
+}
+
+test('the planner counts the cards still needed for the contract', () => {
+    // Round 1: two sets of three
+    const game = createGame();
+
+    assert.equal(plan(game, ['7H', '7S', '7D', 'KH', 'KS', '4C']).needed, 1);
+    assert.equal(plan(game, ['7H', '7S', 'KH', '4C', '9D']).needed, 3);
+    assert.equal(plan(game, ['7H', '7S', '7D', '7C', '7H', '7S']).needed, 0);
+});
+
+test('the planner spends wild cards but never more wilds than naturals in a meld', () => {
+    const game = createGame({ options: { wildCards: 'jokers' } });
+
+    assert.equal(plan(game, ['7H', '7S', 'KH', 'KS', 'JK', 'JK']).needed, 0);
+    assert.equal(plan(game, ['7H', 'KH', 'JK', 'JK', 'JK', 'JK']).needed, 2);
+});
+
+test('the planner builds runs in one suit', () => {
+    const game = createGame();
+    game.currentRound = 2; // one set and one run of four
+
+    const result = plan(game, ['5H', '6H', '8H', 'QS', 'QD', 'QC', 'KD']);
+
+    assert.equal(result.needed, 1);
+    assert.deepEqual(result.deadwood.map(index => ['5H', '6H', '8H', 'QS', 'QD', 'QC', 'KD'][index]), ['KD']);
+});
+
+test('a hard AI decides quickly even on the biggest contract house rules allow', () => {
+    const { rules } = validateRules({ rounds: [{ sets: 5, runs: 5 }], decks: 4, cardsDealt: { base: 20, perRound: 5 } });
+    const game = createGame({ options: { rules, wildCards: 'jokersAndDeuces' } });
+    const ai = new AIPlayer('Dad', 'hard');
+    const hand = game.playerHands.get('Dad');
+    assert.equal(hand.length, 25);
+
+    // Every card it could throw away shares one search budget
+    let searchedInAll = 0;
+    const assessHand = ai.assessHand.bind(ai);
+    ai.assessHand = (game, hand, searchLimit) => {
+        searchedInAll += searchLimit;
+        return assessHand(game, hand, searchLimit);
+    };
+
+    const started = Date.now();
+    const cardIndex = ai.chooseDiscardCard(game);
+
+    assert.ok(cardIndex >= 0 && cardIndex < hand.length);
+    assert.ok(searchedInAll <= 5000);
+    // The server waits on this; a search per card each with its own budget took over half a second
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('an AI takes the discard only when it brings the contract closer', () => {
+    const game = createGame({ hands: { Mom: ['7H', '7S', 'KH', 'KS', '4C', '9D'] } });
+    const ai = new AIPlayer('Mom', 'medium');
+
+    assert.equal(ai.shouldTakeDiscard(game, card('7D')), true);
+    assert.equal(ai.shouldTakeDiscard(game, card('3C')), false);
+});
+
+test('an AI only buys what it needs, and easy players want more before buying', () => {
+    const game = createGame({ hands: { Dad: ['7H', '7S', 'KH', '4C', '9D', '3S'] } });
+
+    assert.equal(new AIPlayer('Dad', 'medium').shouldBuyCard(game, card('7D')), true);
+    assert.equal(new AIPlayer('Dad', 'medium').shouldBuyCard(game, card('5C')), false);
+    assert.equal(new AIPlayer('Dad', 'easy').shouldBuyCard(game, card('7D')), false);
+
+    game.playerBuys.set('Dad', 0);
+    assert.equal(new AIPlayer('Dad', 'medium').shouldBuyCard(game, card('7D')), false);
+});
+
+test('an AI discards its costliest deadwood and keeps its wild cards', () => {
+    const game = createGame({
+        options: { wildCards: 'jokers' },
+        hands: { Mom: ['7H', '7S', '7D', 'KH', 'KS', 'JK', '3C', 'QD'] }
+    });
+    const ai = new AIPlayer('Mom', 'medium');
+
+    assert.equal(game.playerHands.get('Mom')[ai.chooseDiscardCard(game)].display, 'Q♦');
+});
+
+test('a hard AI holds back a card the next player is collecting', () => {
+    // Dad plays after Mom and has been picking up queens
+    const game = createGame({ hands: { Mom: ['7H', '7S', '7D', 'KH', 'KS', 'KC', 'QC', '9D'] } });
+    game.recordEvent('pickUpDiscard', { player: 'Dad', card: 'Q♥' });
+
+    const hard = new AIPlayer('Mom', 'hard');
+    const medium = new AIPlayer('Mom', 'medium');
+
+    assert.equal(game.playerHands.get('Mom')[medium.chooseDiscardCard(game)].display, 'Q♣');
+    assert.equal(game.playerHands.get('Mom')[hard.chooseDiscardCard(game)].display, '9♦');
+});
+
+test('a hard AI won\'t discard what lays off on the table once the next player is down', () => {
+    const game = createGame({ hands: { Mom: ['7H', '7S', '7D', 'KH', 'KS', 'KC', '9C', 'JD'] } });
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['JH', 'JS', 'JC']));
+    game.playerGoneDown.set('Dad', true);
+
+    const hard = new AIPlayer('Mom', 'hard');
+
+    assert.equal(game.playerHands.get('Mom')[hard.chooseDiscardCard(game)].display, '9♣');
+});
+
+test('an AI that takes the offered discard finishes its turn', () => {
+    const clock = createVirtualClock();
+    const game = createGame({ options: { clock } });
+    game.players.forEach(player => game.aiPlayers.set(player, new AIPlayer(player, 'medium')));
+    game.playerHands.set('Dad', cards('7H', '7S', 'KH', 'KS', '4C', '9D', '3S'));
+    game.drawCard('Mom');
+    game.playerHands.get('Mom').push(card('7D'));
+    game.discardCard('Mom', game.playerHands.get('Mom').length - 1);
+
+    clock.advance(5000);
+
+    const dadTook = game.eventLog.find(event => event.type === 'pickUpDiscard' && event.player === 'Dad');
+    const dadDiscarded = game.eventLog.find(event => event.type === 'discard' && event.player === 'Dad');
+    assert.ok(dadTook);
+    assert.ok(dadDiscarded && dadDiscarded.seq > dadTook.seq);
+    assert.notEqual(game.getCurrentPlayer(), 'Dad');
+});
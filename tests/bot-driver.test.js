@@ -0,0 +1,174 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Game, BotDriver, createVirtualClock } = require('../engine');
+const BotLibrary = require('../storage/bot-library');
+const { silenceLogs, createGame, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+const BOTS_DIR = path.join(__dirname, '..', 'bots');
+
+// Mom and Dad, with Dad's seat played by `bot`
+function gameWithBot(bot, { hands = {}, decisionTimeoutMs } = {}) {
+    const clock = createVirtualClock();
+    const game = createGame({ options: { clock }, hands });
+    game.botPlayers.set('Dad', null);
+    const driver = new BotDriver(game, { decisionTimeoutMs });
+    if (bot) driver.attach('Dad', bot);
+    return { game, clock, driver };
+}
+
+// A bot that answers from a script and remembers what it was asked
+function scriptedBot(answers) {
+    const requests = [];
+    return {
+        requests,
+        decide(request) {
+            requests.push(request);
+            const answer = answers[request.decision];
+            return typeof answer === 'function' ? answer(request) : answer;
+        }
+    };
+}
+
+// Let the clock run, letting bot answers arrive in between
+async function run(clock, ms, step = 250) {
+    for (let elapsed = 0; elapsed < ms; elapsed += step) {
+        clock.advance(step);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function momTakesATurn(game) {
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+}
+
+function eventsBy(game, player) {
+    return game.eventLog.filter(event => event.player === player).map(event => event.type);
+}
+
+test('a bot\'s answers are played through the game like a player\'s moves', async () => {
+    const bot = scriptedBot({
+        discardOffer: { wantsDiscard: true },
+        play: { action: 'done' },
+        discard: { cardIndex: 0 }
+    });
+    const { game, clock, driver } = gameWithBot(bot);
+
+    momTakesATurn(game);
+    await run(clock, 3000);
+
+    assert.deepEqual(bot.requests.map(request => request.decision), ['discardOffer', 'play', 'discard']);
+    assert.equal(bot.requests[0].card.display, game.eventLog.find(event => event.type === 'discard').card);
+    assert.equal(bot.requests[0].state.hand.length, 11);
+    assert.deepEqual(eventsBy(game, 'Dad'), ['playerJoined', 'pickUpDiscard', 'discard']);
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+    driver.dispose();
+});
+
+test('a bot that doesn\'t answer in time is played safe', async () => {
+    const { game, clock, driver } = gameWithBot({ decide: () => new Promise(() => {}) }, { decisionTimeoutMs: 1000 });
+
+    momTakesATurn(game);
+    await run(clock, 1500);
+    game.submitBuyRequest('Mom', false);
+    await run(clock, 5000);
+
+    assert.deepEqual(eventsBy(game, 'Dad'), ['playerJoined', 'draw', 'discard']);
+    assert.equal(game.playerHands.get('Dad').length, 11);
+    driver.dispose();
+});
+
+test('broken and illegal answers fall back to safe play', async () => {
+    const bot = scriptedBot({
+        discardOffer: () => { throw new Error('oops'); },
+        draw: { source: 'deck' },
+        play: { action: 'layOffCard', cardIndex: 'seven' },
+        discard: { cardIndex: 99 }
+    });
+    const { game, clock, driver } = gameWithBot(bot);
+
+    momTakesATurn(game);
+    await run(clock, 1000);
+    game.submitBuyRequest('Mom', false);
+    await run(clock, 3000);
+
+    assert.deepEqual(bot.requests.map(request => request.decision), ['discardOffer', 'draw', 'play', 'discard']);
+    assert.deepEqual(eventsBy(game, 'Dad'), ['playerJoined', 'draw', 'discard']);
+    assert.notEqual(game.eventLog.findLast(event => event.type === 'discard').cardIndex, 99);
+    assert.equal(game.playerHands.get('Dad').length, 11);
+    driver.dispose();
+});
+
+test('a seat with no bot attached keeps the game moving', async () => {
+    const { game, clock, driver } = gameWithBot(null);
+
+    momTakesATurn(game);
+    await run(clock, 500);
+    game.submitBuyRequest('Mom', false);
+    await run(clock, 2000);
+
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+    assert.deepEqual(eventsBy(game, 'Dad'), ['playerJoined', 'draw', 'discard']);
+    driver.dispose();
+});
+
+test('the example bot goes down with the contract', async () => {
+    const loaded = new BotLibrary(BOTS_DIR).load('set-collector');
+    assert.equal(loaded.success, true);
+
+    const { game, clock, driver } = gameWithBot(loaded.bot, {
+        hands: { Dad: ['7H', '7S', '7D', 'KH', 'KS', 'KC', '4C', '9D', 'JH', '3S', '5D'] }
+    });
+
+    momTakesATurn(game);
+    await run(clock, 1000);
+    game.submitBuyRequest('Mom', false);
+    await run(clock, 3000);
+
+    assert.equal(game.hasGoneDown('Dad'), true);
+    assert.deepEqual(game.playerMelds.get('Dad').map(meld => meld.cards.length), [3, 3]);
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+    driver.dispose();
+});
+
+test('the bot library only loads bots from its directory that can decide', () => {
+    const botsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slattery-bots-'));
+    fs.writeFileSync(path.join(botsDir, 'mute.js'), 'module.exports = {};');
+    fs.writeFileSync(path.join(botsDir, 'counter.js'), 'module.exports = { createBot: () => ({ seen: 0, decide() { this.seen++; return null; } }) };');
+    fs.writeFileSync(path.join(botsDir, 'notes.txt'), 'not a bot');
+    fs.writeFileSync(path.join(botsDir, 'aggressive-collector.js'), 'module.exports = { decide: () => null };');
+    const library = new BotLibrary(botsDir);
+
+    try {
+        assert.deepEqual(library.list(), ['counter', 'mute']);
+        assert.match(library.load('mute').message, /no decide/);
+        assert.match(library.load('../server').message, /No bot called/);
+        assert.notEqual(library.load('counter').bot, library.load('counter').bot);
+        assert.ok(new BotLibrary(BOTS_DIR).list().includes('set-collector'));
+    } finally {
+        fs.rmSync(botsDir, { recursive: true, force: true });
+    }
+});
+
+test('bot seats survive a snapshot and a replay', () => {
+    const game = new Game('BOTS02', 'Mom', 0, { seed: 'bots' });
+    game.addPlayer('Mom');
+    game.addBotPlayer('Bot-set-collector', 'set-collector');
+    game.addBotPlayer('Robo');
+    assert.equal(game.addBotPlayer('Mom'), false);
+
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+    const replayed = Game.replay(game.eventLog);
+
+    [restored, replayed].forEach(copy => {
+        assert.deepEqual(Object.fromEntries(copy.botPlayers), { 'Bot-set-collector': 'set-collector', Robo: null });
+        assert.deepEqual(copy.getGameState('Mom').botPlayers, ['Bot-set-collector', 'Robo']);
+    });
+    game.dispose();
+});
@@ -0,0 +1,200 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, createVirtualClock } = require('../engine');
+const { silenceLogs, cards, createGame, displays, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+test('buyCard takes the discard plus a penalty card and uses up a buy', () => {
+    const game = createGame({ players: ['Mom', 'Dad', 'Gran'] });
+    game.discardPile = cards('QS');
+    const handSize = game.playerHands.get('Dad').length;
+    const deckSize = game.deck.cards.length;
+
+    const result = game.buyCard('Dad');
+
+    assert.equal(result.success, true);
+    assert.equal(result.discardCard.display, 'Q♠');
+    assert.equal(game.playerHands.get('Dad').length, handSize + 2);
+    assert.equal(game.deck.cards.length, deckSize - 1);
+    assert.equal(game.discardPile.length, 0);
+    assert.equal(game.playerBuys.get('Dad'), 2);
+});
+
+test('buyCard is refused on your own turn', () => {
+    const game = createGame();
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+    assert.equal(game.buyCard('Mom').success, false);
+});
+
+test('buyCard is refused once a player has no buys left', () => {
+    const game = createGame();
+    game.playerBuys.set('Dad', 0);
+    assert.equal(game.buyCard('Dad').success, false);
+});
+
+test('buyCard is refused when the discard pile is empty', () => {
+    const game = createGame();
+    game.discardPile = [];
+    assert.equal(game.buyCard('Dad').success, false);
+});
+
+test('buyCard changes nothing when there is no penalty card to deal', () => {
+    const game = createGame();
+    game.deck.cards = [];
+    game.discardPile = cards('QS');
+    const handSize = game.playerHands.get('Dad').length;
+    const loggedEvents = game.eventLog.length;
+
+    assert.match(game.buyCard('Dad').message, /No cards left/);
+    assert.deepEqual(displays(game.discardPile), ['Q♠']);
+    assert.equal(game.playerHands.get('Dad').length, handSize);
+    assert.equal(game.playerBuys.get('Dad'), 3);
+    assert.equal(game.eventLog.length, loggedEvents);
+});
+
+test('buyCard reshuffles the rest of the discard pile when the deck runs out', () => {
+    const game = createGame();
+    game.deck.cards = [];
+    game.discardPile = cards('2C', '3C', '4C', 'QS');
+
+    const result = game.buyCard('Dad');
+
+    assert.equal(result.success, true);
+    assert.equal(result.discardCard.display, 'Q♠');
+    assert.equal(game.deck.cards.length, 2);
+    assert.equal(game.discardPile.length, 0);
+    assert.ok(game.eventLog.some(event => event.type === 'reshuffle'));
+});
+
+test('resolveBuyPhase gives the card to the first buyer after the current player', () => {
+    const game = createGame({ players: ['Mom', 'Dad', 'Gran'] });
+    game.discardPile = cards('QS');
+    game.turnState.buyPhase = true;
+    game.turnState.buyRequests.set('Gran', true);
+    game.turnState.buyRequests.set('Dad', true);
+
+    game.resolveBuyPhase();
+
+    assert.ok(displays(game.playerHands.get('Dad')).includes('Q♠'));
+    assert.equal(game.playerBuys.get('Dad'), 2);
+    assert.equal(game.playerBuys.get('Gran'), 3);
+    assert.equal(game.turnState.buyPhase, false);
+});
+
+test('resolveBuyPhase leaves the discard alone when nobody wants it', () => {
+    const game = createGame({ players: ['Mom', 'Dad', 'Gran'] });
+    game.discardPile = cards('QS');
+    game.turnState.buyPhase = true;
+    game.turnState.buyRequests.set('Dad', false);
+
+    game.resolveBuyPhase();
+
+    assert.deepEqual(displays(game.discardPile), ['Q♠']);
+    assert.equal(game.turnState.buyPhase, false);
+});
+
+test('an unanswered discard offer times out on the game clock and moves on to buy requests', () => {
+    const clock = createVirtualClock();
+    const game = createGame({ options: { clock } });
+    const offers = [];
+    const buyRequests = [];
+    game.on('discardOffer', offer => offers.push(offer));
+    game.on('buyRequest', request => buyRequests.push(request));
+
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+
+    assert.equal(offers.length, 1);
+    assert.equal(offers[0].playerName, 'Dad');
+    assert.equal(game.turnState.buyStage, 'discardOffer');
+
+    clock.advance(offers[0].timeLimit);
+
+    assert.equal(game.turnState.buyStage, 'buyRequests');
+    assert.deepEqual(buyRequests.map(request => request.playerName), ['Mom']);
+
+    clock.advance(buyRequests[0].timeLimit);
+
+    assert.equal(game.turnState.buyPhase, false);
+    assert.equal(game.eventLog[game.eventLog.length - 1].type, 'buyPhaseEnded');
+});
+
+test('only the other players with buys left can ask to buy, and only once the current player has passed', () => {
+    const game = createGame({ players: ['Mom', 'Dad', 'Gran'] });
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+    assert.equal(game.turnState.buyStage, 'discardOffer');
+
+    // Dad gets first refusal, so nobody can buy the card out from under him yet
+    assert.equal(game.submitBuyRequest('Gran', true).success, false);
+    assert.equal(game.turnState.buyRequests.size, 0);
+
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+    assert.equal(game.turnState.buyStage, 'buyRequests');
+    // A late pick-up doesn't count either once the card is up for buying
+    game.handleCurrentPlayerDiscardDecision('Dad', true);
+    assert.equal(game.turnState.buyStage, 'buyRequests');
+
+    assert.equal(game.submitBuyRequest('Dad', true).success, false);
+    game.playerBuys.set('Gran', 0);
+    assert.equal(game.submitBuyRequest('Gran', true).success, false);
+    assert.equal(game.turnState.buyRequests.size, 0);
+});
+
+test('an AI\'s buy answer from a buy phase that was cut short is not counted in the next one', () => {
+    const clock = createVirtualClock();
+    const game = new Game('TEST01', 'Mom', 2, { seed: 'test-seed', clock, rules: { buyTimeLimitMs: 10000 } });
+    const [robot, otherRobot] = game.players;
+    game.addPlayer('Mom');
+    game.addPlayer('Dad');
+    game.addPlayer('Gran');
+    game.reorderSeats(['Mom', 'Dad', 'Gran', robot, otherRobot]);
+    game.startGame();
+
+    const answers = [];
+    const submitBuyRequest = game.submitBuyRequest.bind(game);
+    game.submitBuyRequest = (playerName, wantsCard) => {
+        if (playerName === robot) answers.push(wantsCard);
+        return submitBuyRequest(playerName, wantsCard);
+    };
+
+    game.aiFor(robot).shouldBuyCard = () => true;
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+
+    // Dad leaves while the AI is still thinking; the card is offered again from Gran's turn
+    game.removePlayer('Dad');
+    game.aiFor(robot).shouldBuyCard = () => false;
+    game.handleCurrentPlayerDiscardDecision('Gran', false);
+    game.submitBuyRequest('Mom', false);
+    clock.advance(3000);
+
+    assert.deepEqual(answers, [false]);
+    assert.equal(game.turnState.buyPhase, false);
+    game.dispose();
+});
+
+test('an AI answers a buy request before even the shortest buy window closes', (t) => {
+    // The slowest answer an AI gives
+    t.mock.method(Math, 'random', () => 0.99);
+    const clock = createVirtualClock();
+    const game = new Game('TEST01', 'Mom', 1, { seed: 'test-seed', clock, rules: { buyTimeLimitMs: 2000 } });
+    const [robot] = game.players;
+    game.addPlayer('Mom');
+    game.addPlayer('Dad');
+    game.reorderSeats(['Mom', 'Dad', robot]);
+    game.startGame();
+    game.aiFor(robot).shouldBuyCard = () => true;
+
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+    game.submitBuyRequest('Mom', false);
+    clock.advance(2000);
+
+    assert.ok(game.eventLog.some(event => event.type === 'buy' && event.player === robot));
+    game.dispose();
+});
@@ -0,0 +1,64 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Deck, Game } = require('../engine');
+const { silenceLogs, createGame, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+test('a deck holds two standard decks plus any jokers', () => {
+    assert.equal(new Deck().cards.length, 104);
+    assert.equal(new Deck({ jokersPerDeck: 2 }).cards.length, 108);
+});
+
+test('the same seed always shuffles the same way', () => {
+    const first = new Deck({ seed: 'holiday' }).cards.map(c => c.display);
+    const second = new Deck({ seed: 'holiday' }).cards.map(c => c.display);
+    const other = new Deck({ seed: 'birthday' }).cards.map(c => c.display);
+
+    assert.deepEqual(first, second);
+    assert.notDeepEqual(first, other);
+});
+
+test('the same seed and actions produce identical hands', () => {
+    const play = () => {
+        const game = createGame({ options: { seed: 'table-1' } });
+        game.drawCard('Mom');
+        game.discardCard('Mom', 0);
+        return [...game.playerHands.values()].map(hand => hand.map(c => c.display));
+    };
+
+    assert.deepEqual(play(), play());
+});
+
+test('a game round-trips through its JSON snapshot', () => {
+    const game = createGame({ options: { wildCards: 'jokers' } });
+    game.drawCard('Mom');
+
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+    assert.deepEqual(JSON.parse(JSON.stringify(restored)), JSON.parse(JSON.stringify(game)));
+    assert.equal(restored.deck.deal().display, game.deck.deal().display);
+});
+
+test('replaying the event log rebuilds the same table', () => {
+    const game = createGame({ players: ['Mom', 'Dad', 'Gran'] });
+    game.drawCard('Mom');
+    game.discardCard('Mom', 3);
+    game.turnState.buyRequests.set('Gran', true);
+    game.resolveBuyPhase();
+    game.drawCard('Dad');
+
+    const replayed = Game.replay(game.eventLog);
+
+    for (const player of game.players) {
+        assert.deepEqual(
+            replayed.playerHands.get(player).map(c => c.display),
+            game.playerHands.get(player).map(c => c.display)
+        );
+    }
+    assert.equal(replayed.getCurrentPlayer(), 'Dad');
+
+    const beforeDiscard = Game.replay(game.eventLog, game.eventLog.findIndex(event => event.type === 'draw'));
+    assert.equal(beforeDiscard.playerHands.get('Mom').length, 12);
+});
@@ -0,0 +1,108 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, createVirtualClock } = require('../engine');
+const { silenceLogs, createGame, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+const PLAYERS = ['Mom', 'Dad', 'Gran'];
+
+// Play the current player's turn: draw, then throw away their first card
+function playTurn(game) {
+    const player = game.getCurrentPlayer();
+    if (game.turnState.buyPhase) {
+        game.handleCurrentPlayerDiscardDecision(player, false);
+        game.players.filter(other => other !== player).forEach(other => game.submitBuyRequest(other, false));
+    }
+    game.drawCard(player);
+    game.discardCard(player, 0);
+}
+
+test('the turn stays with the same player when someone earlier in the order leaves', () => {
+    const game = createGame({ players: PLAYERS });
+    playTurn(game);
+    assert.equal(game.getCurrentPlayer(), 'Dad');
+
+    game.removePlayer('Mom');
+
+    assert.equal(game.getCurrentPlayer(), 'Dad');
+    assert.deepEqual(game.players, ['Dad', 'Gran']);
+});
+
+test('when the current player leaves, the turn passes to the next seat', () => {
+    const game = createGame({ players: PLAYERS });
+    playTurn(game);
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+
+    game.removePlayer('Dad');
+
+    assert.equal(game.getCurrentPlayer(), 'Gran');
+    assert.equal(game.turnState.buyPhase, true);
+    assert.equal(game.turnState.buyStage, 'discardOffer');
+    assert.equal(game.turnState.buyRequests.size, 0);
+});
+
+test('the last player in the order leaving on their turn hands it back to the first', () => {
+    const game = createGame({ players: PLAYERS });
+    playTurn(game);
+    playTurn(game);
+    assert.equal(game.getCurrentPlayer(), 'Gran');
+
+    game.removePlayer('Gran');
+
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+});
+
+test('with a takeover difficulty set, the AI plays a departed player\'s seat until they reclaim it', () => {
+    const clock = createVirtualClock();
+    const game = createGame({ players: PLAYERS, options: { clock } });
+    assert.equal(game.setTakeoverDifficulty('hard').success, true);
+    const hand = [...game.playerHands.get('Mom')];
+
+    assert.equal(game.leaveTable('Mom'), true);
+
+    assert.deepEqual(game.players, PLAYERS);
+    assert.deepEqual(game.playerHands.get('Mom'), hand);
+    assert.equal(game.autopilot.get('Mom').difficulty, 'hard');
+    assert.deepEqual(game.getGameState('Dad').autopilotPlayers, ['Mom']);
+
+    // It was Mom's turn, so the AI plays it
+    clock.advance(10000);
+    assert.equal(game.getCurrentPlayer(), 'Dad');
+    assert.equal(game.eventLog.some(event => event.type === 'discard' && event.player === 'Mom'), true);
+
+    assert.equal(game.resumeControl('Mom').success, true);
+    assert.equal(game.autopilot.has('Mom'), false);
+});
+
+test('without a takeover difficulty, or before the game starts, a departed player loses their seat', () => {
+    const started = createGame({ players: PLAYERS });
+    started.leaveTable('Gran');
+    assert.deepEqual(started.players, ['Mom', 'Dad']);
+
+    const lobby = new Game('LOBBY1', 'Mom');
+    lobby.addPlayer('Mom');
+    lobby.addPlayer('Dad');
+    lobby.setTakeoverDifficulty('easy');
+    lobby.leaveTable('Dad');
+    assert.deepEqual(lobby.players, ['Mom']);
+});
+
+test('only known difficulties can take over seats', () => {
+    const game = createGame();
+    assert.match(game.setTakeoverDifficulty('expert').message, /easy, medium, hard/);
+    assert.equal(game.takeoverDifficulty, null);
+});
+
+test('a saved game keeps the takeover difficulty and the AI playing each departed seat', () => {
+    const game = createGame({ players: PLAYERS, options: { clock: createVirtualClock() } });
+    game.setTakeoverDifficulty('easy');
+    game.leaveTable('Dad');
+
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+    assert.equal(restored.takeoverDifficulty, 'easy');
+    assert.equal(restored.autopilot.get('Dad').difficulty, 'easy');
+    restored.dispose();
+});
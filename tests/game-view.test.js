@@ -0,0 +1,125 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createVirtualClock } = require('../engine');
+const { silenceLogs, createGame, meld, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+const PLAYERS = ['Mom', 'Dad', 'Gran'];
+
+const STATE_KEYS = [
+    'aceRuns', 'aiDifficulties', 'aiPlayers', 'allPlayerMelds', 'autopilotPlayers', 'botPlayers', 'buysRemaining', 'currentPlayer', 'currentRound',
+    'disconnectedPlayers', 'discardTop', 'gameCode', 'gameStarted', 'handCounts', 'hand',
+    'hasGoneDown', 'hostName', 'isHost', 'isPublic', 'melds', 'openHands', 'players', 'playersDown', 'roundRequirements',
+    'rules', 'scores', 'takeoverDifficulty', 'turnPhase', 'wildCards'
+];
+
+// Every card-shaped object anywhere in a payload
+function cardsIn(value, found = []) {
+    if (Array.isArray(value)) {
+        value.forEach(item => cardsIn(item, found));
+    } else if (value && typeof value === 'object') {
+        if ('suit' in value && 'rank' in value && 'display' in value) found.push(value.display);
+        Object.values(value).forEach(item => cardsIn(item, found));
+    }
+    return found;
+}
+
+// What the viewer is entitled to see: their own hand, the table and the discard top.
+// The viewer's own melds come twice, in `melds` and under their name in `allPlayerMelds`.
+function visibleCards(game, viewer) {
+    const meldCards = player => game.playerMelds.get(player).flatMap(m => m.cards);
+    const table = game.players.flatMap(meldCards);
+    const top = game.discardPile[game.discardPile.length - 1];
+    return [...game.playerHands.get(viewer), ...table, ...meldCards(viewer), ...(top ? [top] : [])].map(card => card.display);
+}
+
+function midRoundGame() {
+    const clock = createVirtualClock();
+    const game = createGame({ players: PLAYERS, options: { clock } });
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['9H', '9S', '9D']));
+    game.playerGoneDown.set('Dad', true);
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+    return { game, clock };
+}
+
+test('a payload holds only the cards its viewer may see', () => {
+    const { game } = midRoundGame();
+
+    PLAYERS.forEach(viewer => {
+        const state = game.getGameState(viewer);
+
+        assert.deepEqual(Object.keys(state).sort(), [...STATE_KEYS].sort());
+        assert.deepEqual(cardsIn(state).sort(), visibleCards(game, viewer).sort(), viewer);
+        assert.deepEqual(state.handCounts, { Mom: 11, Dad: 11, Gran: 11 });
+    });
+});
+
+test('a payload survives JSON unchanged, with no maps or timer handles', () => {
+    const { game } = midRoundGame();
+    const state = game.getGameState('Gran');
+
+    assert.deepEqual(JSON.parse(JSON.stringify(state)), state);
+    assert.equal(state.turnPhase.stage, 'discardOffer');
+    assert.equal(state.turnPhase.currentPlayer, 'Dad');
+    assert.equal(typeof state.turnPhase.buyDeadline, 'number');
+});
+
+test('buy requests stay hidden from everyone but the buyer until the buy resolves', () => {
+    const { game } = midRoundGame();
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+    const momBefore = game.getGameState('Mom');
+
+    game.submitBuyRequest('Gran', true);
+
+    const granPhase = game.getGameState('Gran').turnPhase;
+    const momPhase = game.getGameState('Mom').turnPhase;
+    assert.equal(granPhase.stage, 'buyRequests');
+    assert.equal(granPhase.myBuyRequest, true);
+    assert.equal(momPhase.myBuyRequest, null);
+    assert.deepEqual(game.getGameState('Mom'), momBefore);
+});
+
+test('the turn phase follows the current turn', () => {
+    const game = createGame({ players: PLAYERS });
+    assert.equal(game.getGameState('Dad').turnPhase.stage, 'draw');
+
+    game.drawCard('Mom');
+    const phase = game.getGameState('Dad').turnPhase;
+
+    assert.equal(phase.stage, 'play');
+    assert.equal(phase.hasDrawn, true);
+    assert.equal(phase.buyDeadline, null);
+    assert.ok(!('myBuyRequest' in phase));
+});
+
+test('spectators see the table but no hands', () => {
+    const { game } = midRoundGame();
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+    game.submitBuyRequest('Gran', true);
+
+    const state = game.getSpectatorState();
+
+    assert.equal(state.spectator, true);
+    assert.ok(!('hand' in state) && !('hands' in state) && !('buysRemaining' in state));
+    const top = game.discardPile[game.discardPile.length - 1];
+    assert.deepEqual(cardsIn(state).sort(), ['9♥', '9♠', '9♦', top.display].sort());
+    assert.deepEqual(state.handCounts, { Mom: 11, Dad: 11, Gran: 11 });
+    assert.equal(state.turnPhase.myBuyRequest, null);
+});
+
+test('open hands show spectators every hand without changing what players see', () => {
+    const { game } = midRoundGame();
+    const momBefore = game.getGameState('Mom');
+
+    game.setOpenHands(true);
+
+    const state = game.getSpectatorState();
+    PLAYERS.forEach(player => {
+        assert.deepEqual(state.hands[player].map(c => c.display), game.playerHands.get(player).map(c => c.display));
+    });
+    assert.deepEqual(cardsIn(game.getGameState('Mom')).sort(), cardsIn(momBefore).sort());
+    assert.equal(game.getGameState('Mom').openHands, true);
+});
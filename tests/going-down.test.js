@@ -0,0 +1,171 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AIPlayer } = require('../engine');
+const { silenceLogs, createGame, meld, displays, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+// Round 1's contract is two sets of three
+const ROUND_ONE_HAND = ['7H', '7S', '7D', 'KH', 'KS', 'KC', '4C', '9D'];
+
+test('goDown lays the whole contract down in one action', () => {
+    const game = createGame({ hands: { Mom: ROUND_ONE_HAND } });
+    game.turnState.hasDrawn = true;
+
+    const result = game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [3, 4, 5], meldType: 'set' }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(game.hasGoneDown('Mom'), true);
+    assert.equal(game.playerMelds.get('Mom').length, 2);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['4♣', '9♦']);
+    assert.equal(game.eventLog[game.eventLog.length - 1].type, 'goDown');
+});
+
+test('goDown refuses melds that fall short of the contract and leaves the hand alone', () => {
+    const game = createGame({ hands: { Mom: [...ROUND_ONE_HAND, '5C', '6C', '8C'] } });
+    game.turnState.hasDrawn = true;
+
+    const oneSet = game.goDown('Mom', [{ cardIndices: [0, 1, 2], meldType: 'set' }]);
+    const setAndRun = game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [6, 8, 9, 10], meldType: 'run' }
+    ]);
+
+    assert.equal(oneSet.success, false);
+    assert.equal(setAndRun.success, false);
+    assert.equal(game.hasGoneDown('Mom'), false);
+    assert.equal(game.playerHands.get('Mom').length, 11);
+    assert.equal(game.playerMelds.get('Mom').length, 0);
+});
+
+test('goDown refuses a card used in two melds', () => {
+    const game = createGame({ hands: { Mom: ['7H', '7S', '7D', '7C', '7H'] } });
+    game.turnState.hasDrawn = true;
+
+    const result = game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [2, 3, 4], meldType: 'set' }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.equal(game.playerHands.get('Mom').length, 5);
+});
+
+test('goDown waits until the player has drawn', () => {
+    const game = createGame({ hands: { Mom: ROUND_ONE_HAND } });
+
+    const result = game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [3, 4, 5], meldType: 'set' }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.equal(game.hasGoneDown('Mom'), false);
+});
+
+test('makeMeld and layOffCard are refused before going down', () => {
+    const game = createGame({ hands: { Mom: ['9C', '4S', '4H', '4D'] } });
+    game.turnState.hasDrawn = true;
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['9H', '9S', '9D']));
+
+    assert.equal(game.makeMeld('Mom', [1, 2, 3], 'set').success, false);
+    assert.equal(game.layOffCard('Mom', 0, 'Dad', 0).success, false);
+    assert.equal(game.playerHands.get('Mom').length, 4);
+    assert.equal(game.playerMelds.get('Dad')[0].cards.length, 3);
+});
+
+test('extra melds and lay-offs wait for a later turn after going down', () => {
+    const game = createGame({ hands: { Mom: [...ROUND_ONE_HAND, '7C', 'QH', 'QS', 'QD'] } });
+    game.turnState.hasDrawn = true;
+    game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [3, 4, 5], meldType: 'set' }
+    ]);
+
+    // Hand is now 4C 9D 7C QH QS QD
+    assert.equal(game.layOffCard('Mom', 2, 'Mom', 0).success, false);
+    assert.equal(game.makeMeld('Mom', [3, 4, 5], 'set').success, false);
+
+    game.nextTurn();
+    game.resolveBuyPhase();
+    game.nextTurn();
+    game.resolveBuyPhase();
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+
+    assert.equal(game.layOffCard('Mom', 2, 'Mom', 0).success, true);
+    assert.equal(game.makeMeld('Mom', [2, 3, 4], 'set').success, true);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['4♣', '9♦']);
+});
+
+test('a meld can\'t use one card twice, and lay-offs only go to players at the table', () => {
+    const game = createGame({ hands: { Mom: [...ROUND_ONE_HAND, '7C', 'QH', 'QS', 'QD'] } });
+    game.turnState.hasDrawn = true;
+    game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [3, 4, 5], meldType: 'set' }
+    ]);
+    game.turnState.wentDown = false;
+
+    // Hand is now 4C 9D 7C QH QS QD
+    assert.match(game.makeMeld('Mom', [3, 3, 4], 'set').message, /Invalid card selection/);
+    assert.match(game.makeMeld('Mom', [3, 4, 5], 'pairs').message, /Invalid meld/);
+    assert.match(game.layOffCard('Mom', 2, 'Nobody', 0).message, /Invalid target meld/);
+    assert.match(game.layOffCard('Mom', 2.5, 'Mom', 0).message, /Invalid card/);
+    assert.equal(game.playerHands.get('Mom').length, 6);
+});
+
+test('an AI plans a go-down from separate melds that make the contract', () => {
+    const game = createGame({ hands: { Mom: ['KH', '7H', 'KS', '7S', '3C', '7D', 'KC'] } });
+    const ai = new AIPlayer('Mom', 'hard');
+
+    const plan = ai.planGoDown(game);
+
+    assert.equal(plan.length, 2);
+    assert.ok(plan.every(spec => spec.meldType === 'set'));
+    const used = plan.flatMap(spec => spec.cardIndices);
+    assert.equal(new Set(used).size, used.length);
+    assert.ok(!used.includes(4));
+});
+
+test('an AI goes down whenever its hand planner says the contract is made', () => {
+    // Round 3: two runs, cut from one long run
+    const runs = createGame({ hands: { Mom: ['3H', '4H', '5H', '6H', '7H', '8H', '9H', '10H'] } });
+    runs.currentRound = 3;
+    runs.turnState.hasDrawn = true;
+    const runsAI = new AIPlayer('Mom', 'hard');
+    assert.equal(runsAI.assessHand(runs).needed, 0);
+    const runsPlan = runsAI.planGoDown(runs);
+    assert.deepEqual(runsPlan.map(spec => spec.meldType), ['run', 'run']);
+    assert.equal(runs.goDown('Mom', runsPlan).success, true);
+
+    // Round 2: a set and a run with a joker filling the gap
+    const wild = createGame({
+        options: { wildCards: 'jokers' },
+        hands: { Mom: ['3H', '4H', 'JK', '6H', '7S', '7D', '7C'] }
+    });
+    wild.currentRound = 2;
+    wild.turnState.hasDrawn = true;
+    const wildAI = new AIPlayer('Mom', 'hard');
+    assert.equal(wildAI.assessHand(wild).needed, 0);
+    const wildPlan = wildAI.planGoDown(wild);
+    assert.ok(wildPlan.find(spec => spec.meldType === 'run').cardIndices.includes(2));
+    assert.equal(wild.goDown('Mom', wildPlan).success, true);
+});
+
+test('an AI puts spare cards down with its contract', () => {
+    const game = createGame({ hands: { Mom: ['KH', '7H', 'KS', '7S', '7C', '7D', 'KC', '3C'] } });
+    const plan = new AIPlayer('Mom', 'hard').planGoDown(game);
+
+    assert.deepEqual(plan.map(spec => spec.cardIndices.length).sort(), [3, 4]);
+});
+
+test('an AI has no plan when the hand cannot make the contract', () => {
+    const game = createGame({ hands: { Mom: ['KH', '7H', 'KS', '3C', '7D'] } });
+    const ai = new AIPlayer('Mom', 'hard');
+
+    assert.equal(ai.planGoDown(game), null);
+});
@@ -0,0 +1,72 @@
+// Shared helpers for driving games headlessly, without any sockets connected
+const { Game, Card } = require('../engine');
+
+const SUITS_BY_LETTER = {
+    H: 'hearts',
+    D: 'diamonds',
+    C: 'clubs',
+    S: 'spades'
+};
+
+const createdGames = [];
+
+// The rules engine logs every step; keep test output readable
+function silenceLogs() {
+    console.log = () => {};
+}
+
+// Build a card from a short code: '7H', '10S', 'QD', 'AC', or 'JK' for a joker
+function card(code) {
+    if (code === 'JK') return new Card('joker', 'JOKER');
+    return new Card(SUITS_BY_LETTER[code.slice(-1)], code.slice(0, -1));
+}
+
+function cards(...codes) {
+    return codes.map(card);
+}
+
+// Start a game between the given players, then replace any hands that were passed in
+function createGame({ players = ['Mom', 'Dad'], options = {}, hands = {} } = {}) {
+    const game = new Game('TEST01', players[0], 0, { seed: 'test-seed', ...options });
+    players.forEach(player => game.addPlayer(player));
+    game.startGame();
+
+    Object.entries(hands).forEach(([player, codes]) => {
+        game.playerHands.set(player, cards(...codes));
+    });
+
+    createdGames.push(game);
+    return game;
+}
+
+// Turn a list of cards into a meld as if it had been laid down
+function meld(game, type, codes) {
+    const arranged = game.arrangeMeld(cards(...codes), type);
+    if (!arranged) throw new Error(`Not a valid ${type}: ${codes.join(' ')}`);
+    return {
+        type,
+        cards: arranged.map(({ card, represents }) => {
+            card.represents = represents;
+            return card;
+        })
+    };
+}
+
+function displays(cardList) {
+    return cardList.map(c => c.display);
+}
+
+// Buy phases arm timers; clear them so the test process can exit
+function disposeGames() {
+    createdGames.splice(0).forEach(game => game.dispose());
+}
+
+module.exports = {
+    silenceLogs,
+    card,
+    cards,
+    createGame,
+    meld,
+    displays,
+    disposeGames
+};
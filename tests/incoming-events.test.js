@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createVirtualClock, MAX_BOT_NAME_LENGTH, MAX_PLAYERS } = require('../engine');
+const { EVENT_SCHEMAS, validatePayload } = require('../transport/event-schemas');
+const RateLimiter = require('../transport/rate-limiter');
+
+test('well-formed payloads pass their schema', () => {
+    assert.equal(validatePayload('joinGame', { playerName: 'Mom', gameCode: '', aiCount: 3, wildCards: 'none', aceRuns: 'low', isPublic: false }), null);
+    assert.equal(validatePayload('goDown', { melds: [{ cardIndices: [0, 1, 2], meldType: 'set' }, { cardIndices: [3, 4, 5], meldType: 'set' }] }), null);
+    assert.equal(validatePayload('setTakeoverDifficulty', { difficulty: null }), null);
+    assert.equal(validatePayload('drawCard'), null);
+});
+
+test('a bot name short enough to add is short enough to name its seat in later events', () => {
+    const longest = 'b'.repeat(MAX_BOT_NAME_LENGTH);
+    assert.equal(validatePayload('addBot', { bot: longest }), null);
+    assert.equal(validatePayload('kickPlayer', { playerName: `Bot-${longest}-${MAX_PLAYERS}` }), null);
+    assert.equal(validatePayload('layOffCard', { cardIndex: 0, targetPlayer: `Bot-${longest}`, meldIndex: 0 }), null);
+
+    assert.match(validatePayload('addBot', { bot: 'aggressive-collector' }), /bot must be a bot name of up to/);
+});
+
+test('malformed payloads, unknown fields and unknown events are refused', () => {
+    assert.match(validatePayload('joinGame', {}), /needs playerName/);
+    assert.match(validatePayload('joinGame', { playerName: 'x'.repeat(21) }), /playerName must be/);
+    assert.match(validatePayload('joinGame', { playerName: 'Mom\u0000' }), /playerName must be/);
+    assert.match(validatePayload('joinGame', { playerName: 'Mom', aiCount: 50 }), /aiCount must be 0 to 7/);
+    assert.match(validatePayload('discardCard', { cardIndex: '0' }), /cardIndex must be/);
+    assert.match(validatePayload('makeMeld', { cardIndices: [1, 1, 2], meldType: 'set' }), /different card positions/);
+    assert.match(validatePayload('makeMeld', { cardIndices: [1, 2, 3], meldType: 'straight' }), /meldType must be/);
+    assert.match(validatePayload('drawCard', { sneaky: true }), /doesn't take sneaky/);
+    assert.match(validatePayload('drawCard', 'now'), /takes an object/);
+    assert.match(validatePayload('deleteEverything', {}), /Unknown event/);
+});
+
+test('every schema field has a check and says what it expects', () => {
+    Object.values(EVENT_SCHEMAS).forEach(schema => Object.values(schema).forEach(field => {
+        assert.equal(typeof field.check, 'function');
+        assert.equal(typeof field.expected, 'string');
+    }));
+});
+
+test('the rate limiter allows a burst, then refills over time', () => {
+    const clock = createVirtualClock();
+    const limiter = new RateLimiter({ capacity: 3, refillPerSecond: 2, now: () => clock.now() });
+
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.allow()), [true, true, true, false]);
+
+    clock.advance(500);
+    assert.equal(limiter.allow(), true);
+    assert.equal(limiter.allow(), false);
+
+    clock.advance(60000);
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.allow()), [true, true, true, false]);
+});
@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, MAX_PLAYERS, createVirtualClock } = require('../engine');
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+function lobby(players = ['Mom', 'Dad', 'Gran'], options = {}) {
+    const game = new Game('LOBBY1', players[0], 0, { seed: 'lobby', clock: createVirtualClock(), ...options });
+    players.forEach(player => game.addPlayer(player));
+    return game;
+}
+
+test('the host adds AI seats at a chosen difficulty and can change it before the deal', () => {
+    const game = lobby(['Mom']);
+
+    const added = game.addAISeat('hard');
+    assert.equal(added.success, true);
+    assert.equal(game.aiPlayers.get(added.playerName).difficulty, 'hard');
+    assert.notEqual(game.addAISeat('easy').playerName, added.playerName);
+
+    assert.equal(game.setAIDifficulty(added.playerName, 'easy').success, true);
+    assert.equal(game.getSpectatorState().aiDifficulties[added.playerName], 'easy');
+
+    assert.match(game.addAISeat('expert').message, /Difficulty must be one of/);
+    assert.match(game.setAIDifficulty('Mom', 'easy').message, /not an AI player/);
+
+    game.startGame();
+    assert.equal(game.addAISeat('easy').success, false);
+    assert.equal(game.setAIDifficulty(added.playerName, 'hard').success, false);
+    game.dispose();
+});
+
+test('the host removes any seat but their own, AI seats included', () => {
+    const game = lobby();
+    const { playerName: aiName } = game.addAISeat('medium');
+    const dadToken = game.issueSessionToken('Dad');
+
+    assert.equal(game.kickPlayer('Dad').success, true);
+    assert.equal(game.kickPlayer(aiName).success, true);
+    assert.deepEqual(game.players, ['Mom', 'Gran']);
+    assert.equal(game.aiPlayers.size, 0);
+    assert.equal(game.getPlayerForToken(dadToken), null);
+
+    assert.match(game.kickPlayer('Mom').message, /own seat/);
+    assert.match(game.kickPlayer('Nobody').message, /not in this game/);
+});
+
+test('the host reorders the seats, which sets the order of play', () => {
+    const game = lobby();
+
+    assert.match(game.reorderSeats(['Gran', 'Mom']).message, /every player once/);
+    assert.match(game.reorderSeats(['Gran', 'Mom', 'Mom']).message, /every player once/);
+
+    assert.equal(game.reorderSeats(['Gran', 'Mom', 'Dad']).success, true);
+    game.startGame();
+    assert.equal(game.getCurrentPlayer(), 'Gran');
+    assert.equal(game.reorderSeats(['Mom', 'Dad', 'Gran']).success, false);
+    game.dispose();
+});
+
+test('hosting passes to another player, never to an AI', () => {
+    const game = lobby();
+    const { playerName: aiName } = game.addAISeat('easy');
+
+    assert.match(game.transferHost(aiName).message, /can't be the host/);
+    assert.equal(game.transferHost('Gran').success, true);
+    assert.equal(game.hostName, 'Gran');
+    assert.equal(game.getGameState('Gran').isHost, true);
+    assert.equal(game.getGameState('Mom').isHost, false);
+});
+
+test('when the host leaves, the first player still connected becomes host', () => {
+    const game = lobby();
+    game.markDisconnected('Dad');
+
+    game.leaveTable('Mom');
+
+    assert.equal(game.hostName, 'Gran');
+    assert.equal(game.startGame().success, true);
+    game.dispose();
+});
+
+test('a replay seats everyone in the order and with the host the lobby ended up with', () => {
+    const game = lobby();
+    game.addAISeat('hard');
+    game.reorderSeats([...game.players].reverse());
+    game.transferHost('Dad');
+    game.kickPlayer('Gran');
+    game.startGame();
+
+    const replayed = Game.replay(game.eventLog);
+
+    assert.deepEqual(replayed.players, game.players);
+    assert.equal(replayed.hostName, 'Dad');
+    assert.deepEqual(replayed.playerHands.get('Dad'), game.playerHands.get('Dad'));
+    game.dispose();
+});
+
+test('a table only seats as many players as its rules can deal to', () => {
+    // Two decks hold 17 cards each for at most 6 players, with one left for the discard pile
+    const game = lobby(['Mom']);
+    assert.equal(game.seatCapacity(), 6);
+    while (game.hasOpenSeat()) game.addPlayer(`Guest-${game.players.length}`);
+    assert.equal(game.players.length, 6);
+    assert.equal(game.getListing().maxSeats, 6);
+    assert.equal(game.startGame().success, true);
+    game.dispose();
+
+    assert.equal(lobby(['Mom'], { rules: { decks: 3 } }).seatCapacity(), MAX_PLAYERS);
+});
+
+test('a table keeps a seat for its host out of what the rules can deal to AI players', () => {
+    // Nobody has sat down yet, so 5 of the 6 seats can go to AI
+    const game = new Game('LOBBY1', 'Mom', 0, { seed: 'lobby', clock: createVirtualClock() });
+    for (let i = 0; i < 5; i++) assert.equal(game.addAISeat('easy').success, true);
+    assert.match(game.addAISeat('easy').message, /at most 5 AI players/);
+    game.addPlayer('Mom');
+    assert.equal(game.startGame().success, true);
+    game.dispose();
+
+    assert.equal(new Game('LOBBY2', 'Mom', 1000).aiPlayers.size, 5);
+    assert.equal(new Game('LOBBY3', 'Mom', 1000, { rules: { decks: 3 } }).aiPlayers.size, MAX_PLAYERS - 1);
+
+    // Room for another AI by the cap, but no seat left for it
+    const full = lobby(['Mom', 'Dad', 'Gran']);
+    full.addAISeat('easy');
+    full.addAISeat('easy');
+    full.addPlayer('Cousin');
+    assert.match(full.addAISeat('easy').message, /full/);
+});
+
+test('only public tables that are still waiting for players are open, fullest first', () => {
+    const quiet = new Game('OPEN01', 'Mom', 0, { isPublic: true });
+    quiet.addPlayer('Mom');
+    const busy = new Game('OPEN02', 'Dad', 2, { isPublic: true });
+    busy.addPlayer('Dad');
+    const hidden = new Game('HIDE01', 'Gran', 3);
+    hidden.addPlayer('Gran');
+
+    assert.deepEqual(Game.openTables([quiet, busy, hidden]).map(game => game.gameCode), ['OPEN02', 'OPEN01']);
+    assert.deepEqual(busy.getListing(), {
+        gameCode: 'OPEN02',
+        hostName: 'Dad',
+        seats: 3,
+        maxSeats: 6,
+        aiCount: 2,
+        botCount: 0,
+        rules: { wildCards: 'none', aceRuns: 'low', rounds: 7, buysPerRound: 3, decks: 2, turnTimeLimitMs: 90000 }
+    });
+
+    quiet.setPublic(false);
+    assert.deepEqual(Game.openTables([quiet, busy]).map(game => game.gameCode), ['OPEN02']);
+});
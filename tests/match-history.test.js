@@ -0,0 +1,97 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MatchHistory = require('../storage/match-history');
+const { silenceLogs, createGame, cards, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+const dataDirs = [];
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function tempHistory() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slattery-history-'));
+    dataDirs.push(dir);
+    return new MatchHistory(dir);
+}
+
+// A one-round game that `winner` wins by going down and discarding their last card.
+// When Mom wins, Dad uses a buy along the way.
+function playOneRoundGame(history, winner, profiles) {
+    const loser = winner === 'Mom' ? 'Dad' : 'Mom';
+    const game = createGame({
+        players: ['Mom', 'Dad'],
+        options: { rules: { rounds: [{ sets: 2, runs: 0 }] } }
+    });
+    Object.entries(profiles).forEach(([player, profileId]) => game.setPlayerProfile(player, profileId));
+    history.watch(game);
+
+    // Skip ahead to the winner's turn
+    if (game.getCurrentPlayer() !== winner) {
+        game.nextTurn();
+        game.resolveBuyPhase();
+    }
+    if (loser === 'Dad') game.buyCard('Dad');
+    game.playerHands.set(winner, cards('7H', '7S', '7D', 'KH', 'KS', 'KC', '4C'));
+    game.playerHands.set(loser, cards('QH', '5C'));
+    game.turnState.hasDrawn = true;
+    game.goDown(winner, [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [3, 4, 5], meldType: 'set' }
+    ]);
+    const result = game.discardCard(winner, 0);
+    game.handleRoundEnd(result.roundResult);
+    return game;
+}
+
+test('a profile token always finds the same profile, under the latest name', () => {
+    const history = tempHistory();
+
+    const first = history.profileFor(undefined, 'Mom');
+    const again = history.profileFor(first.profileToken, 'Mum');
+    const stranger = history.profileFor('made-up-token', 'Mom');
+
+    assert.equal(again.profileId, first.profileId);
+    assert.equal(history.profiles.get(first.profileId).name, 'Mum');
+    assert.notEqual(stranger.profileId, first.profileId);
+
+    // The file keeps only hashes of tokens, and they still find the profile after a restart
+    assert.ok(!fs.readFileSync(history.filePath, 'utf8').includes(first.profileToken));
+    const reloaded = new MatchHistory(path.dirname(history.filePath));
+    assert.equal(reloaded.profileFor(first.profileToken, 'Mum').profileId, first.profileId);
+});
+
+test('finished games add up to lifetime stats and a leaderboard, and survive a restart', () => {
+    const history = tempHistory();
+    const mom = history.profileFor(undefined, 'Mom').profileId;
+    const dad = history.profileFor(undefined, 'Dad').profileId;
+
+    const firstGame = playOneRoundGame(history, 'Mom', { Mom: mom, Dad: dad });
+    playOneRoundGame(history, 'Dad', { Mom: mom, Dad: dad });
+    playOneRoundGame(history, 'Mom', { Mom: mom, Dad: dad });
+    // The same game ending is only recorded once
+    assert.equal(history.recordMatch(firstGame, firstGame.endGame()), null);
+
+    assert.deepEqual(history.playerStats(mom), {
+        profileId: mom,
+        name: 'Mom',
+        gamesPlayed: 3,
+        wins: 2,
+        averageScore: 5,
+        averageScoreByRound: [5],
+        zeroRounds: 2,
+        buysUsed: 0,
+        bestScore: 0
+    });
+    assert.equal(history.playerStats(dad).buysUsed, 2);
+    assert.deepEqual(history.leaderboard().map(stats => stats.name), ['Mom', 'Dad']);
+    assert.equal(history.recentMatches()[0].winner, 'Mom');
+    assert.equal(history.recentMatches().length, 3);
+
+    const reloaded = new MatchHistory(path.dirname(history.filePath));
+    assert.deepEqual(reloaded.leaderboard(), history.leaderboard());
+    assert.equal(reloaded.playerStats('nobody'), null);
+});
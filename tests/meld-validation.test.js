@@ -0,0 +1,180 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AIPlayer } = require('../engine');
+const { silenceLogs, cards, createGame, meld, displays, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+test('validateMeld accepts three or more cards of one rank as a set', () => {
+    const game = createGame();
+    assert.equal(game.validateMeld(cards('7H', '7S', '7D'), 'set'), true);
+    assert.equal(game.validateMeld(cards('KH', 'KS', 'KD', 'KC'), 'set'), true);
+});
+
+test('validateMeld rejects short or mixed sets', () => {
+    const game = createGame();
+    assert.equal(game.validateMeld(cards('7H', '7S'), 'set'), false);
+    assert.equal(game.validateMeld(cards('7H', '7S', '8D'), 'set'), false);
+});
+
+test('validateMeld accepts four or more consecutive cards of one suit as a run', () => {
+    const game = createGame();
+    assert.equal(game.validateMeld(cards('3H', '4H', '5H', '6H'), 'run'), true);
+    assert.equal(game.validateMeld(cards('6S', '3S', '5S', '4S', '7S'), 'run'), true);
+});
+
+test('validateMeld treats face cards as consecutive ranks', () => {
+    const game = createGame();
+    assert.equal(game.validateMeld(cards('10C', 'JC', 'QC', 'KC'), 'run'), true);
+    assert.equal(game.validateMeld(cards('JC', 'QC', 'KC', '10D'), 'run'), false);
+});
+
+test('validateMeld rejects runs that are short, mixed-suit, gapped or repeat a rank', () => {
+    const game = createGame();
+    assert.equal(game.validateMeld(cards('3H', '4H', '5H'), 'run'), false);
+    assert.equal(game.validateMeld(cards('3H', '4H', '5S', '6H'), 'run'), false);
+    assert.equal(game.validateMeld(cards('3H', '4H', '6H', '7H'), 'run'), false);
+    assert.equal(game.validateMeld(cards('3H', '4H', '4H', '5H', '6H'), 'run'), false);
+});
+
+test('validateMeld rejects unknown meld types', () => {
+    const game = createGame();
+    assert.equal(game.validateMeld(cards('3H', '4H', '5H', '6H'), 'straight'), false);
+});
+
+test('wild cards fill gaps in runs and record the card they stand for', () => {
+    const game = createGame({ options: { wildCards: 'jokers' } });
+    const run = meld(game, 'run', ['5H', 'JK', '7H', '8H']);
+
+    assert.deepEqual(displays(run.cards), ['5♥', '🃏', '7♥', '8♥']);
+    assert.deepEqual(run.cards[1].represents, { rank: '6', suit: 'hearts', display: '6♥' });
+});
+
+test('wild cards may not outnumber natural cards', () => {
+    const game = createGame({ options: { wildCards: 'jokersAndDeuces' } });
+    assert.equal(game.validateMeld(cards('9H', 'JK', '2S'), 'set'), false);
+    assert.equal(game.validateMeld(cards('9H', '9S', 'JK', '2S'), 'set'), true);
+});
+
+test('deuces are only wild when the game says so', () => {
+    const plain = createGame();
+    const deuces = createGame({ options: { wildCards: 'deuces' } });
+    assert.equal(plain.validateMeld(cards('9H', '9S', '2S'), 'set'), false);
+    assert.equal(deuces.validateMeld(cards('9H', '9S', '2S'), 'set'), true);
+});
+
+test('canLayOffCard matches the rank of a set', () => {
+    const game = createGame();
+    const set = meld(game, 'set', ['9H', '9S', '9D']);
+    assert.equal(game.canLayOffCard(cards('9C')[0], set), true);
+    assert.equal(game.canLayOffCard(cards('10C')[0], set), false);
+});
+
+test('canLayOffCard extends a run at either end in the same suit', () => {
+    const game = createGame();
+    const run = meld(game, 'run', ['5H', '6H', '7H', '8H']);
+    assert.equal(game.canLayOffCard(cards('4H')[0], run), true);
+    assert.equal(game.canLayOffCard(cards('9H')[0], run), true);
+    assert.equal(game.canLayOffCard(cards('9S')[0], run), false);
+    assert.equal(game.canLayOffCard(cards('10H')[0], run), false);
+});
+
+test('canLayOffCard lets a wild card extend a run', () => {
+    const game = createGame({ options: { wildCards: 'jokers' } });
+    const run = meld(game, 'run', ['JH', 'QH', 'KH', '10H']);
+    assert.equal(game.canLayOffCard(cards('JK')[0], run), true);
+    assert.deepEqual(game.getLayOffPlacement(cards('JK')[0], run).represents.display, '9♥');
+});
+
+test('aces are low only unless the game plays them high', () => {
+    const low = createGame();
+    const highOrLow = createGame({ options: { aceRuns: 'highOrLow' } });
+
+    assert.equal(low.validateMeld(cards('AH', '2H', '3H', '4H'), 'run'), true);
+    assert.equal(low.validateMeld(cards('JH', 'QH', 'KH', 'AH'), 'run'), false);
+    assert.equal(highOrLow.validateMeld(cards('AH', '2H', '3H', '4H'), 'run'), true);
+    assert.equal(highOrLow.validateMeld(cards('JH', 'QH', 'KH', 'AH'), 'run'), true);
+    assert.equal(highOrLow.validateMeld(cards('KH', 'AH', '2H', '3H'), 'run'), false);
+});
+
+test('runs turn the corner from king to ace to 2 when aces wrap', () => {
+    const game = createGame({ options: { aceRuns: 'wrap', wildCards: 'jokers' } });
+    const run = meld(game, 'run', ['2S', 'KS', 'AS', 'QS']);
+
+    assert.deepEqual(displays(run.cards), ['Q♠', 'K♠', 'A♠', '2♠']);
+    assert.equal(game.validateMeld(cards('KS', 'JK', '2S', '3S'), 'run'), true);
+    assert.equal(game.canLayOffCard(cards('3S')[0], run), true);
+    assert.equal(game.canLayOffCard(cards('JS')[0], run), true);
+});
+
+test('lay-offs and wild cards follow the ace rule at the top of a run', () => {
+    const low = createGame({ options: { wildCards: 'jokers' } });
+    const highOrLow = createGame({ options: { aceRuns: 'highOrLow', wildCards: 'jokers' } });
+    const lowRun = meld(low, 'run', ['10D', 'JD', 'QD', 'KD']);
+    const highRun = meld(highOrLow, 'run', ['10D', 'JD', 'QD', 'KD']);
+
+    assert.equal(low.canLayOffCard(cards('AD')[0], lowRun), false);
+    assert.equal(highOrLow.canLayOffCard(cards('AD')[0], highRun), true);
+    assert.equal(low.getLayOffPlacement(cards('JK')[0], lowRun).represents.display, '9♦');
+    assert.equal(highOrLow.getLayOffPlacement(cards('JK')[0], highRun).represents.display, 'A♦');
+
+    const aceHigh = meld(highOrLow, 'run', ['JD', 'QD', 'KD', 'AD']);
+    assert.equal(highOrLow.canLayOffCard(cards('2D')[0], aceHigh), false);
+});
+
+test('the AI finds ace-high runs only when the game allows them', () => {
+    const hand = cards('JH', 'QH', 'KH', 'AH', '5C');
+    const ai = new AIPlayer('Dad');
+
+    assert.deepEqual(ai.findPossibleRuns(hand, [], 'low'), []);
+    assert.deepEqual(ai.findPossibleRuns(hand, [], 'highOrLow'), [[0, 1, 2, 3]]);
+});
+
+test('layOffCard moves the card from the hand onto the target meld', () => {
+    const game = createGame({ hands: { Mom: ['9C', '4S'] } });
+    game.playerGoneDown.set('Mom', true);
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['9H', '9S', '9D']));
+
+    const result = game.layOffCard('Mom', 0, 'Dad', 0);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['4♠']);
+    assert.equal(game.playerMelds.get('Dad')[0].cards.length, 4);
+});
+
+test('layOffCard puts the card back when going out would break the round contract', () => {
+    const game = createGame({ hands: { Mom: ['9C'] } });
+    game.playerGoneDown.set('Mom', true);
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['9H', '9S', '9D']));
+
+    const result = game.layOffCard('Mom', 0, 'Dad', 0);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['9♣']);
+    assert.equal(game.playerMelds.get('Dad')[0].cards.length, 3);
+});
+
+test('makeMeld leaves the hand untouched when the meld would go out without the contract', () => {
+    const game = createGame({ hands: { Mom: ['7H', '7S', '7D'] } });
+    game.playerGoneDown.set('Mom', true);
+
+    const result = game.makeMeld('Mom', [2, 0, 1], 'set');
+
+    assert.equal(result.success, false);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['7♥', '7♠', '7♦']);
+    assert.equal(game.playerMelds.get('Mom').length, 0);
+    assert.ok(game.playerHands.get('Mom').every(c => c.represents === null));
+});
+
+test('swapWildCard trades the natural card for the wild it stands for', () => {
+    const game = createGame({ options: { wildCards: 'jokers' }, hands: { Mom: ['6H', '4C'] } });
+    game.playerMelds.get('Dad').push(meld(game, 'run', ['5H', 'JK', '7H', '8H']));
+    game.turnState.hasDrawn = true;
+
+    const result = game.swapWildCard('Mom', 0, 'Dad', 0);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(displays(game.playerMelds.get('Dad')[0].cards), ['5♥', '6♥', '7♥', '8♥']);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['🃏', '4♣']);
+});
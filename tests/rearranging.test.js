@@ -0,0 +1,92 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { melds, validateRules } = require('../engine');
+const { silenceLogs, createGame, meld, cards, displays, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+// Table positions of cards in one of Mom's melds
+const positions = (meldIndex, ...cardIndices) => cardIndices.map(cardIndex => ({ meldIndex, cardIndex }));
+
+// Mom is down on round 1 (two sets of three) with a long run besides, and it is her turn
+function downGame(rearrangeMelds = true) {
+    const game = createGame({ options: { rules: { rearrangeMelds } } });
+    game.playerGoneDown.set('Mom', true);
+    game.playerMelds.get('Mom').push(
+        meld(game, 'set', ['7H', '7S', '7D']),
+        meld(game, 'set', ['KH', 'KS', 'KC']),
+        meld(game, 'run', ['3H', '4H', '5H', '6H', '7H', '8H', '9H', '10H'])
+    );
+    return game;
+}
+
+test('meld cards are kept in table order, runs from the bottom and sets with their wilds last', () => {
+    const run = { type: 'run', cards: cards('9C', '7C', '8C', '6C') };
+    assert.deepEqual(displays(melds.sortMeldCards(run)), ['6♣', '7♣', '8♣', '9♣']);
+
+    const wrapping = { type: 'run', cards: cards('2S', 'QS', 'AS', 'KS') };
+    assert.deepEqual(displays(melds.sortMeldCards(wrapping, 'wrap')), ['Q♠', 'K♠', 'A♠', '2♠']);
+
+    const game = createGame({ options: { wildCards: 'jokers' }, hands: { Mom: ['9H', '4S'] } });
+    game.playerGoneDown.set('Mom', true);
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['9S', 'JK', '9C']));
+    game.layOffCard('Mom', 0, 'Dad', 0);
+    assert.deepEqual(displays(game.playerMelds.get('Dad')[0].cards), ['9♥', '9♣', '9♠', '🃏']);
+});
+
+test('with the house rule on, a player who is down splits a long run into two', () => {
+    const game = downGame();
+
+    const result = game.rearrangeMelds('Mom', [
+        { cards: positions(2, 4, 5, 6, 7), meldType: 'run' },
+        { cards: positions(2, 3, 2, 1, 0), meldType: 'run' }
+    ]);
+
+    assert.equal(result.success, true);
+    const table = game.playerMelds.get('Mom');
+    assert.equal(table.length, 4);
+    assert.deepEqual(displays(table[2].cards), ['7♥', '8♥', '9♥', '10♥']);
+    assert.deepEqual(displays(table[3].cards), ['3♥', '4♥', '5♥', '6♥']);
+    assert.equal(game.eventLog.at(-1).type, 'rearrangeMelds');
+
+    assert.deepEqual(game.undoAction('Mom'), { success: true, action: 'rearrangeMelds' });
+    assert.equal(game.playerMelds.get('Mom').length, 3);
+});
+
+test('every meld a rearrangement makes must be legal and use each card once', () => {
+    const game = downGame();
+
+    assert.match(game.rearrangeMelds('Mom', [
+        { cards: positions(2, 0, 1, 2), meldType: 'run' },
+        { cards: positions(2, 3, 4, 5, 6, 7), meldType: 'run' }
+    ]).message, /Invalid run/);
+    assert.match(game.rearrangeMelds('Mom', [
+        { cards: positions(2, 0, 1, 2, 3), meldType: 'run' }
+    ]).message, /every card/);
+    assert.match(game.rearrangeMelds('Mom', [
+        { cards: positions(2, 0, 1, 2, 3, 3), meldType: 'run' }
+    ]).message, /Invalid card selection/);
+    assert.match(game.rearrangeMelds('Mom', [
+        { cards: [...positions(0, 0, 1, 2), ...positions(1, 0, 1, 2)], meldType: 'set' }
+    ]).message, /Invalid set/);
+    assert.deepEqual(displays(game.playerMelds.get('Mom')[2].cards), ['3♥', '4♥', '5♥', '6♥', '7♥', '8♥', '9♥', '10♥']);
+});
+
+test('rearranging is a house rule, and can\'t break the round contract', () => {
+    const game = downGame(false);
+    const split = [
+        { cards: positions(2, 0, 1, 2, 3), meldType: 'run' },
+        { cards: positions(2, 4, 5, 6, 7), meldType: 'run' }
+    ];
+    assert.match(game.rearrangeMelds('Mom', split).message, /don't allow/);
+
+    const strict = downGame();
+    strict.playerMelds.set('Mom', [meld(strict, 'set', ['7H', '7S', '7D']), meld(strict, 'set', ['7C', '7H', '7S'])]);
+    // Merging the two sets of sevens leaves one set where the contract needs two
+    assert.match(strict.rearrangeMelds('Mom', [
+        { cards: [...positions(0, 0, 1, 2), ...positions(1, 0, 1, 2)], meldType: 'set' }
+    ]).message, /must still make the contract/);
+
+    assert.match(validateRules({ rearrangeMelds: 'yes' }).message, /true or false/);
+});
@@ -0,0 +1,111 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game, DEFAULT_RULES, ROUND_REQUIREMENTS, validateRules, createVirtualClock } = require('../engine');
+const { silenceLogs, createGame, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+test('validateRules falls back to the standard game', () => {
+    const result = validateRules(undefined);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rules.rounds, ROUND_REQUIREMENTS);
+    assert.equal(result.rules.buysPerRound, 3);
+    assert.equal(result.rules.decks, 2);
+});
+
+test('validateRules fills in anything a house leaves out', () => {
+    const result = validateRules({ buysPerRound: 1, scoring: { ace: 15 } });
+
+    assert.equal(result.success, true);
+    assert.equal(result.rules.buysPerRound, 1);
+    assert.equal(result.rules.scoring.ace, 15);
+    assert.equal(result.rules.scoring.face, DEFAULT_RULES.scoring.face);
+    assert.deepEqual(result.rules.cardsDealt, DEFAULT_RULES.cardsDealt);
+});
+
+test('validateRules describes custom rounds', () => {
+    const result = validateRules({ rounds: [{ sets: 2 }, { sets: 1, runs: 1, minRunSize: 5 }] });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.rules.rounds.map(round => round.melds), ['2 Sets of 3', '1 Set of 3 + 1 Run of 5']);
+    assert.equal(result.rules.rounds[1].round, 2);
+    assert.equal(result.rules.rounds[0].minRunSize, 0);
+});
+
+test('validateRules refuses rules that would break the game', () => {
+    const bad = [
+        'seven rounds',
+        { rounds: [] },
+        { rounds: [{ sets: 0, runs: 0 }] },
+        { rounds: [{ sets: 1, minSetSize: 2 }] },
+        { buysPerRound: -1 },
+        { decks: 0 },
+        { buyTimeLimitMs: 100 },
+        { cardsDealt: { base: 'ten', perRound: 1 } },
+        { scoring: { queen: 12 } },
+        { jokersEverywhere: true }
+    ];
+
+    bad.forEach(rules => {
+        const result = validateRules(rules);
+        assert.equal(result.success, false, JSON.stringify(rules));
+        assert.equal(typeof result.message, 'string');
+    });
+});
+
+test('a game deals, buys and counts rounds by its house rules', () => {
+    const rules = validateRules({
+        rounds: [{ sets: 1 }, { runs: 1 }],
+        buysPerRound: 1,
+        cardsDealt: { base: 6, perRound: 2 },
+        decks: 1
+    }).rules;
+    const game = createGame({ options: { rules } });
+
+    assert.equal(game.playerHands.get('Mom').length, 8);
+    assert.equal(game.playerBuys.get('Dad'), 1);
+    assert.equal(game.deck.cards.length, 52 - 2 * 8 - 1);
+    assert.deepEqual(game.getGameState('Mom').rules, rules);
+    assert.deepEqual(game.playerScores.get('Mom'), [0, 0]);
+    assert.deepEqual(Game.fromJSON(JSON.parse(JSON.stringify(game))).rules, rules);
+
+    assert.equal(game.endRound('Mom').gameEnded, false);
+    assert.equal(game.playerHands.get('Dad').length, 10);
+    assert.equal(game.endRound('Mom').gameEnded, true);
+});
+
+test('the buy timer follows the house rules', () => {
+    const clock = createVirtualClock();
+    const rules = validateRules({ buyTimeLimitMs: 4000 }).rules;
+    const game = createGame({ options: { rules, clock } });
+    const offers = [];
+    game.on('discardOffer', offer => offers.push(offer));
+
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+
+    assert.equal(offers[0].timeLimit, 4000);
+});
+
+test('cards left in hand score by the house rules', () => {
+    const rules = validateRules({ scoring: { ace: 5, face: 1 } }).rules;
+    const game = createGame({ options: { rules }, hands: { Dad: ['AH', 'KS', '7D'] } });
+
+    game.endRound('Mom');
+
+    assert.equal(game.playerScores.get('Dad')[0], 5 + 1 + 7);
+});
+
+test('a game will not start if the deck is too small for the deal', () => {
+    const rules = validateRules({ decks: 1, cardsDealt: { base: 20, perRound: 1 } }).rules;
+    const game = new Game('TEST02', 'Mom', 0, { rules });
+    ['Mom', 'Dad', 'Gran'].forEach(player => game.addPlayer(player));
+
+    const result = game.startGame();
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /Not enough cards/);
+    assert.equal(game.gameStarted, false);
+});
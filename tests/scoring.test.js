@@ -0,0 +1,95 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { silenceLogs, cards, createGame, meld, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+test('validatePlayerMeetsRoundRequirements counts sets and runs against the round contract', () => {
+    const game = createGame();
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['7H', '7S', '7D']));
+
+    let validation = game.validatePlayerMeetsRoundRequirements('Mom');
+    assert.equal(validation.meetsRequirements, false);
+    assert.equal(validation.validSets, 1);
+
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['KH', 'KS', 'KD']));
+    validation = game.validatePlayerMeetsRoundRequirements('Mom');
+    assert.equal(validation.meetsRequirements, true);
+});
+
+test('validatePlayerMeetsRoundRequirements needs runs in run rounds', () => {
+    const game = createGame();
+    game.currentRound = 3;
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['7H', '7S', '7D']));
+    game.playerMelds.get('Mom').push(meld(game, 'run', ['3H', '4H', '5H', '6H']));
+
+    const validation = game.validatePlayerMeetsRoundRequirements('Mom');
+    assert.equal(validation.meetsRequirements, false);
+    assert.equal(validation.hasRequiredRuns, false);
+});
+
+test('endRound scores cards left in hand and deals the next round', () => {
+    const game = createGame({ options: { wildCards: 'jokers' }, hands: { Mom: [], Dad: ['AS', 'KD', '7C', 'JK'] } });
+
+    const result = game.endRound('Mom');
+
+    assert.equal(result.gameEnded, false);
+    assert.equal(result.newRound, 2);
+    assert.equal(game.playerScores.get('Mom')[0], 0);
+    assert.equal(game.playerScores.get('Dad')[0], 20 + 10 + 7 + 50);
+    assert.equal(game.playerHands.get('Mom').length, 12);
+    assert.equal(game.getCurrentPlayer(), 'Dad');
+});
+
+test('endRound after the seventh round ends the game', () => {
+    const game = createGame();
+    game.currentRound = 7;
+    game.playerScores.set('Mom', [0, 10, 0, 5, 0, 0, 0]);
+    game.playerScores.set('Dad', [30, 0, 20, 0, 15, 5, 0]);
+    game.playerHands.set('Dad', cards('5S'));
+
+    const result = game.endRound('Mom');
+
+    assert.equal(result.gameEnded, true);
+    assert.equal(result.finalResults.winner, 'Mom');
+    assert.equal(result.finalResults.winnerScore, 15);
+    assert.equal(game.gameComplete, true);
+});
+
+test('endGame ranks players by total and counts rounds won', () => {
+    const game = createGame({ players: ['Mom', 'Dad', 'Gran'] });
+    game.playerScores.set('Mom', [10, 10, 10, 10, 10, 10, 10]);
+    game.playerScores.set('Dad', [0, 0, 0, 0, 0, 0, 100]);
+    game.playerScores.set('Gran', [5, 5, 5, 5, 5, 5, 0]);
+
+    const results = game.endGame();
+
+    assert.deepEqual(results.finalStandings, [['Gran', 30], ['Mom', 70], ['Dad', 100]]);
+    assert.equal(results.playerStats.Dad.roundsWon, 6);
+    assert.equal(results.playerStats.Gran.roundsWon, 1);
+    assert.equal(results.playerStats.Mom.isAI, false);
+});
+
+test('discardCard refuses to let a player go out without the round contract', () => {
+    const game = createGame({ hands: { Mom: ['5S'] } });
+    game.turnState.hasDrawn = true;
+
+    const result = game.discardCard('Mom', 0);
+
+    assert.equal(result.success, false);
+    assert.equal(game.playerHands.get('Mom').length, 1);
+});
+
+test('discardCard ends the round when the last card goes and the contract is met', () => {
+    const game = createGame({ hands: { Mom: ['5S'], Dad: ['QH'] } });
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['7H', '7S', '7D']));
+    game.playerMelds.get('Mom').push(meld(game, 'set', ['KH', 'KS', 'KD']));
+    game.turnState.hasDrawn = true;
+
+    const result = game.discardCard('Mom', 0);
+
+    assert.equal(result.roundEnded, true);
+    assert.equal(game.playerScores.get('Dad')[0], 10);
+    assert.equal(game.currentRound, 2);
+});
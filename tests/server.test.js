@@ -0,0 +1,461 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+
+// Keep this run's snapshots out of the real data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'slattery-test-'));
+
+const { server, io, games } = require('../server');
+const { silenceLogs, cards } = require('./helpers');
+
+silenceLogs();
+
+let url;
+const clients = [];
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, resolve));
+    url = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+    clients.forEach(client => client.disconnect());
+    await new Promise(resolve => setTimeout(resolve, 50));
+    games.forEach(game => game.dispose());
+    io.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function connectClient() {
+    const client = connect(url, { transports: ['websocket'], forceNew: true });
+    clients.push(client);
+    return client;
+}
+
+// Resolve with the next payload of an event that passes the check
+function waitFor(client, event, check = () => true) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+        const handler = data => {
+            if (!check(data)) return;
+            clearTimeout(timer);
+            client.off(event, handler);
+            resolve(data);
+        };
+        client.on(event, handler);
+    });
+}
+
+async function joinTwoPlayers(seed = 'integration') {
+    const mom = connectClient();
+    const momSession = waitFor(mom, 'sessionToken');
+    mom.emit('joinGame', { playerName: 'Mom', aiCount: 0, seed });
+    const { gameCode } = await momSession;
+
+    const dad = connectClient();
+    const dadJoined = waitFor(dad, 'playerJoined');
+    dad.emit('joinGame', { playerName: 'Dad', gameCode });
+    await dadJoined;
+
+    return { mom, dad, gameCode };
+}
+
+test('only the game page and its crest are served from the repo', async () => {
+    assert.equal((await fetch(`${url}/`)).status, 200);
+    assert.equal((await fetch(`${url}/slattery-shanghai.html`)).status, 200);
+    assert.equal((await fetch(`${url}/slattery-crest.jpg`)).status, 200);
+
+    for (const file of ['package.json', 'server.js', 'storage/game-store.js', 'data/history.json']) {
+        assert.equal((await fetch(`${url}/${file}`)).status, 404, file);
+    }
+});
+
+test('two players play a scripted round to the end over Socket.IO', async () => {
+    const { mom, dad, gameCode } = await joinTwoPlayers();
+
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    const state = await started;
+    assert.equal(state.currentPlayer, 'Mom');
+    assert.equal(state.hand.length, 11);
+
+    // Stack the table: Mom holds two big sets, and the 7 she will go out with is on top of the deck
+    const game = games.get(gameCode);
+    game.playerHands.set('Mom', cards('AH', 'AS', 'AD', 'AC', 'AH', 'AS', 'KH', 'KS', 'KD', 'KC', 'KH'));
+    game.playerHands.set('Dad', cards('5C', '9D', 'JC'));
+    game.deck.cards.push(cards('7D')[0]);
+
+    let update = waitFor(mom, 'gameUpdate', data => data.hand.length === 12);
+    mom.emit('drawCard');
+    await update;
+
+    update = waitFor(mom, 'gameUpdate', data => data.hand.length === 1);
+    mom.emit('goDown', {
+        melds: [
+            { cardIndices: [0, 1, 2, 3, 4, 5], meldType: 'set' },
+            { cardIndices: [6, 7, 8, 9, 10], meldType: 'set' }
+        ]
+    });
+    const wentDown = await update;
+    assert.equal(wentDown.hasGoneDown, true);
+    assert.deepEqual(wentDown.playersDown, ['Mom']);
+
+    const nextRound = waitFor(dad, 'gameUpdate', data => data.currentRound === 2);
+    mom.emit('discardCard', { cardIndex: 0 });
+    const round2 = await nextRound;
+
+    assert.deepEqual(round2.scores.Mom.slice(0, 1), [0]);
+    assert.deepEqual(round2.scores.Dad.slice(0, 1), [5 + 9 + 10]);
+    assert.equal(round2.hand.length, 12);
+    assert.equal(round2.currentPlayer, 'Dad');
+});
+
+test('the host runs the lobby: removes a player, adds an AI and hands over hosting', async () => {
+    const { mom, dad, gameCode } = await joinTwoPlayers();
+    const gran = connectClient();
+    const granSeated = waitFor(mom, 'playerJoined', data => data.players.includes('Gran'));
+    gran.emit('joinGame', { playerName: 'Gran', gameCode });
+    await granSeated;
+
+    const refused = waitFor(dad, 'error');
+    dad.emit('kickPlayer', { playerName: 'Gran' });
+    assert.match((await refused).message, /Only host/);
+
+    const kicked = waitFor(gran, 'kicked');
+    mom.emit('kickPlayer', { playerName: 'Gran' });
+    assert.equal((await kicked).gameCode, gameCode);
+
+    const withAI = waitFor(dad, 'playerJoined', data => data.aiPlayers.length === 1);
+    mom.emit('addAI', { difficulty: 'hard' });
+    const lobby = await withAI;
+    assert.deepEqual(lobby.players, ['Mom', 'Dad', lobby.aiPlayers[0]]);
+    assert.equal(lobby.aiDifficulties[lobby.aiPlayers[0]], 'hard');
+
+    const handedOver = waitFor(dad, 'playerJoined', data => data.hostName === 'Dad');
+    mom.emit('transferHost', { playerName: 'Dad' });
+    await handedOver;
+
+    const started = waitFor(mom, 'gameStarted');
+    dad.emit('startGame');
+    assert.equal((await started).isHost, false);
+});
+
+test('public tables are listed for anyone to find, and quick join fills the fullest one', async () => {
+    const aunt = connectClient();
+    const auntSession = waitFor(aunt, 'sessionToken');
+    aunt.emit('joinGame', { playerName: 'Aunt', aiCount: 1, isPublic: true });
+    const { gameCode } = await auntSession;
+
+    const hidden = connectClient();
+    const hiddenSession = waitFor(hidden, 'sessionToken');
+    hidden.emit('joinGame', { playerName: 'Hermit' });
+    await hiddenSession;
+
+    const { games: listed } = await (await fetch(`${url}/api/games`)).json();
+    assert.deepEqual(listed.map(table => table.gameCode), [gameCode]);
+    assert.equal(listed[0].hostName, 'Aunt');
+    assert.equal(listed[0].seats, 2);
+    assert.equal(listed[0].aiCount, 1);
+    assert.equal(listed[0].rules.rounds, 7);
+
+    const cousin = connectClient();
+    const cousinSession = waitFor(cousin, 'sessionToken');
+    cousin.emit('quickJoin', { playerName: 'Cousin' });
+    assert.equal((await cousinSession).gameCode, gameCode);
+
+    // Once the host takes the table out of the lobby, quick join opens a new one
+    const unlisted = waitFor(aunt, 'playerJoined', data => data.isPublic === false);
+    aunt.emit('setPublic', { isPublic: false });
+    await unlisted;
+
+    const uncle = connectClient();
+    const uncleSession = waitFor(uncle, 'sessionToken');
+    uncle.emit('quickJoin', { playerName: 'Uncle' });
+    const newTable = (await uncleSession).gameCode;
+    assert.notEqual(newTable, gameCode);
+    assert.equal(games.get(newTable).hostName, 'Uncle');
+    assert.equal(games.get(newTable).isPublic, true);
+});
+
+test('players with the same names at two tables only ever hear about their own game', async () => {
+    const tables = [await joinTwoPlayers('table-one'), await joinTwoPlayers('table-two')];
+    assert.notEqual(tables[0].gameCode, tables[1].gameCode);
+
+    // Everything private each client is sent from here on
+    const received = new Map();
+    tables.forEach(({ mom, dad }) => [mom, dad].forEach(client => {
+        const payloads = [];
+        received.set(client, payloads);
+        ['gameStarted', 'gameUpdate', 'discardOffer', 'buyRequest'].forEach(event => {
+            client.on(event, data => payloads.push({ event, data }));
+        });
+    }));
+
+    for (const { mom, dad, gameCode } of tables) {
+        const started = Promise.all([waitFor(mom, 'gameStarted'), waitFor(dad, 'gameStarted')]);
+        mom.emit('startGame');
+        const [momState, dadState] = await started;
+        const game = games.get(gameCode);
+        assert.deepEqual(momState.hand.map(card => card.display), game.playerHands.get('Mom').map(card => card.display));
+        assert.deepEqual(dadState.hand.map(card => card.display), game.playerHands.get('Dad').map(card => card.display));
+    }
+
+    // Both Moms take their turns at once; each Dad is offered only his own table's discard
+    const offers = tables.map(({ dad }) => waitFor(dad, 'discardOffer'));
+    tables.forEach(({ mom }) => mom.emit('drawCard'));
+    await Promise.all(tables.map(({ mom }) => waitFor(mom, 'gameUpdate', data => data.hand.length === 12)));
+    tables.forEach(({ mom }) => mom.emit('discardCard', { cardIndex: 0 }));
+    const offered = await Promise.all(offers);
+
+    tables.forEach(({ mom, dad, gameCode }, index) => {
+        const game = games.get(gameCode);
+        assert.equal(offered[index].card.display, game.discardPile.at(-1).display);
+
+        received.get(mom).concat(received.get(dad))
+            .filter(({ event }) => event === 'gameStarted' || event === 'gameUpdate')
+            .forEach(({ data }) => assert.equal(data.gameCode, gameCode));
+        assert.equal(received.get(dad).filter(({ event }) => event === 'discardOffer').length, 1);
+        assert.equal(received.get(mom).filter(({ event }) => event === 'discardOffer').length, 0);
+    });
+});
+
+test('a finished game counts towards each player\'s profile and the leaderboard', async () => {
+    const mom = connectClient();
+    const momSession = waitFor(mom, 'sessionToken');
+    mom.emit('joinGame', { playerName: 'Mom', rules: { rounds: [{ sets: 2, runs: 0 }] } });
+    const { gameCode, profileId, profileToken } = await momSession;
+
+    const dad = connectClient();
+    const dadSession = waitFor(dad, 'sessionToken');
+    dad.emit('joinGame', { playerName: 'Dad', gameCode });
+    await dadSession;
+
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    await started;
+    const game = games.get(gameCode);
+    game.playerHands.set('Mom', cards('AH', 'AS', 'AD', 'KH', 'KS', 'KD', '7C'));
+    game.playerHands.set('Dad', cards('5C', '9D'));
+    game.turnState.hasDrawn = true;
+
+    mom.emit('goDown', {
+        melds: [
+            { cardIndices: [0, 1, 2], meldType: 'set' },
+            { cardIndices: [3, 4, 5], meldType: 'set' }
+        ]
+    });
+    const finished = waitFor(dad, 'gameUpdate', data => data.hand.length === 2 && data.handCounts.Mom === 0);
+    mom.emit('discardCard', { cardIndex: 0 });
+    await finished;
+
+    const stats = await (await fetch(`${url}/api/players/${profileId}`)).json();
+    assert.equal(stats.name, 'Mom');
+    assert.equal(stats.gamesPlayed, 1);
+    assert.equal(stats.wins, 1);
+    assert.deepEqual(stats.averageScoreByRound, [0]);
+
+    const { players } = await (await fetch(`${url}/api/leaderboard`)).json();
+    assert.ok(players.some(player => player.profileId === profileId && player.wins === 1));
+    assert.equal((await fetch(`${url}/api/players/nobody`)).status, 404);
+
+    // The same browser keeps its profile at the next table
+    const nextTable = connectClient();
+    const nextSession = waitFor(nextTable, 'sessionToken');
+    nextTable.emit('joinGame', { playerName: 'Mom', profileToken });
+    assert.equal((await nextSession).profileId, profileId);
+});
+
+test('a dropped player keeps their seat and can rejoin with their session token', async () => {
+    const mom = connectClient();
+    const session = waitFor(mom, 'sessionToken');
+    mom.emit('joinGame', { playerName: 'Mom', aiCount: 1 });
+    const { gameCode, sessionToken } = await session;
+
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    const { hand } = await started;
+
+    mom.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(games.get(gameCode).isDisconnected('Mom'));
+
+    const phone = connectClient();
+    const rejoined = waitFor(phone, 'sessionRejoined');
+    phone.emit('rejoinGame', { gameCode, sessionToken });
+    const state = await rejoined;
+
+    assert.equal(state.gameStarted, true);
+    assert.ok(state.players.includes('Mom'));
+    assert.ok(state.hand.length >= hand.length - 1);
+    assert.equal(games.get(gameCode).isDisconnected('Mom'), false);
+});
+
+test('rejoining with an unknown session token is refused', async () => {
+    const { gameCode } = await joinTwoPlayers();
+    const stranger = connectClient();
+
+    const failed = waitFor(stranger, 'rejoinFailed');
+    stranger.emit('rejoinGame', { gameCode, sessionToken: 'not-a-token' });
+    await failed;
+});
+
+test('a seat picked up from a second window is no longer played from the first', async () => {
+    const mom = connectClient();
+    const session = waitFor(mom, 'sessionToken');
+    mom.emit('joinGame', { playerName: 'Mom', aiCount: 0, seed: 'integration' });
+    const { gameCode, sessionToken } = await session;
+
+    const dad = connectClient();
+    const dadJoined = waitFor(dad, 'playerJoined');
+    dad.emit('joinGame', { playerName: 'Dad', gameCode });
+    await dadJoined;
+
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    await started;
+    const game = games.get(gameCode);
+    const handSize = game.playerHands.get('Mom').length;
+
+    // The first tab is still connected when the laptop takes the seat back
+    const laptop = connectClient();
+    const superseded = waitFor(mom, 'error');
+    const rejoined = waitFor(laptop, 'sessionRejoined');
+    laptop.emit('rejoinGame', { gameCode, sessionToken });
+    await rejoined;
+    assert.equal((await superseded).code, 'SEAT_UNAVAILABLE');
+
+    mom.emit('drawCard');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(game.playerHands.get('Mom').length, handSize);
+
+    const refused = waitFor(laptop, 'error');
+    laptop.emit('rejoinGame', { gameCode, sessionToken });
+    assert.equal((await refused).code, 'ALREADY_SEATED');
+
+    const drawn = waitFor(laptop, 'gameUpdate', state => state.hand.length === handSize + 1);
+    laptop.emit('drawCard');
+    await drawn;
+});
+
+test('a game is not created with house rules that fail validation', async () => {
+    const host = connectClient();
+    const refused = waitFor(host, 'error');
+    const gameCount = games.size;
+    host.emit('joinGame', { playerName: 'Mom', rules: { decks: 9 } });
+
+    const { message, code } = await refused;
+    assert.match(message, /Decks/);
+    assert.equal(code, 'INVALID_RULES');
+    assert.equal(games.size, gameCount);
+});
+
+test('malformed events are refused with a code before they reach the game', async () => {
+    const { mom, gameCode } = await joinTwoPlayers();
+    const players = [...games.get(gameCode).players];
+
+    const refused = waitFor(mom, 'error');
+    mom.emit('kickPlayer', { playerName: { toString: null } });
+    assert.equal((await refused).code, 'INVALID_PAYLOAD');
+
+    const unknown = waitFor(mom, 'error');
+    mom.emit('startGame', { rounds: 99 });
+    assert.match((await unknown).message, /doesn't take rounds/);
+    assert.deepEqual(games.get(gameCode).players, players);
+    assert.equal(games.get(gameCode).gameStarted, false);
+});
+
+test('a card can only be bought through the buy phase, never straight off the pile', async () => {
+    const { mom, dad, gameCode } = await joinTwoPlayers();
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    await started;
+    const game = games.get(gameCode);
+    const pile = game.discardPile.length;
+
+    // Mom is still to draw and no buy phase is open
+    const refused = waitFor(dad, 'error');
+    dad.emit('buyCard');
+    assert.equal((await refused).code, 'INVALID_PAYLOAD');
+    assert.equal(game.discardPile.length, pile);
+    assert.equal(game.playerBuys.get('Dad'), game.rules.buysPerRound);
+});
+
+test('a connection that floods the server with events is slowed down', async () => {
+    const flooder = connectClient();
+    const limited = waitFor(flooder, 'error', data => data.code === 'RATE_LIMITED');
+    for (let i = 0; i < 50; i++) flooder.emit('stopSpectating');
+
+    assert.match((await limited).message, /slow down/);
+});
+
+test('a spectator watches a started game without a seat and is counted', async () => {
+    const { mom, gameCode } = await joinTwoPlayers();
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    await started;
+
+    const tv = connectClient();
+    const counted = waitFor(mom, 'spectatorsChanged', data => data.count === 1);
+    const watching = waitFor(tv, 'spectating');
+    tv.emit('spectateGame', { gameCode });
+    const view = await watching;
+    await counted;
+
+    assert.equal(view.spectator, true);
+    assert.equal(view.gameStarted, true);
+    assert.equal(view.hands, undefined);
+    assert.deepEqual(view.players, ['Mom', 'Dad']);
+
+    // Spectators can't play, and open hands are the host's call
+    tv.emit('drawCard');
+    const refused = waitFor(tv, 'error');
+    tv.emit('setOpenHands', { enabled: true });
+    await refused;
+    assert.equal(games.get(gameCode).turnState.hasDrawn, false);
+
+    const opened = waitFor(tv, 'gameUpdate', state => !!state.hands);
+    mom.emit('setOpenHands', { enabled: true });
+    const openView = await opened;
+    assert.deepEqual(Object.keys(openView.hands), ['Mom', 'Dad']);
+
+    const uncounted = waitFor(mom, 'spectatorsChanged', data => data.count === 0);
+    tv.disconnect();
+    await uncounted;
+});
+
+test('a bot program takes a seat over a socket and answers for it', async () => {
+    const mom = connectClient();
+    const momSession = waitFor(mom, 'sessionToken');
+    mom.emit('joinGame', { playerName: 'Mom', seed: 'bots' });
+    const { gameCode } = await momSession;
+
+    const robo = connectClient();
+    const seated = waitFor(robo, 'botJoined');
+    robo.emit('joinAsBot', { gameCode, playerName: 'Robo' });
+    assert.equal((await seated).playerName, 'Robo');
+
+    const listed = waitFor(mom, 'playerJoined', data => data.players.length === 3);
+    mom.emit('addBot', { bot: 'set-collector' });
+    const { botPlayers } = await listed;
+    assert.deepEqual(botPlayers, ['Robo', 'Bot-set-collector']);
+
+    const decisions = [];
+    robo.on('botDecision', (request, answer) => {
+        decisions.push(request.decision);
+        answer(request.decision === 'discard' ? { cardIndex: 0 } : { wantsDiscard: false, source: 'deck', action: 'done' });
+    });
+    mom.on('buyRequest', () => mom.emit('submitBuyRequest', { wantsCard: false }));
+
+    const started = waitFor(mom, 'gameStarted');
+    mom.emit('startGame');
+    await started;
+    mom.emit('drawCard');
+    await waitFor(mom, 'gameUpdate');
+    mom.emit('discardCard', { cardIndex: 0 });
+
+    await waitFor(mom, 'gameMessage', data => data.message.startsWith('Robo discarded'));
+    assert.deepEqual(decisions, ['discardOffer', 'draw', 'play', 'discard']);
+});
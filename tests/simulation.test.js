@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createVirtualClock, validateRules, simulation } = require('../engine');
+const { parseArgs, entrantsFor } = require('../tools/simulate');
+const { silenceLogs } = require('./helpers');
+
+silenceLogs();
+
+// Two quick rounds keep these games short
+const SHORT_RULES = validateRules({ rounds: [{ sets: 1 }, { runs: 1 }] }).rules;
+
+test('the virtual clock runs timers in the order they fall due', () => {
+    const clock = createVirtualClock();
+    const ran = [];
+    clock.setTimeout(() => ran.push('late'), 3000);
+    const cancelled = clock.setTimeout(() => ran.push('cancelled'), 1000);
+    clock.setTimeout(() => {
+        ran.push('early');
+        clock.setTimeout(() => ran.push('chained'), 0);
+    }, 500);
+    clock.clearTimeout(cancelled);
+
+    while (clock.runNext());
+
+    assert.deepEqual(ran, ['early', 'chained', 'late']);
+    assert.equal(clock.now(), 3000);
+    assert.equal(clock.pending(), 0);
+});
+
+test('a simulated game plays every round between the chosen AIs', () => {
+    const entrants = entrantsFor(['hard', 'easy', 'medium']);
+
+    const result = simulation.simulateGame(entrants, { seed: 'sim-test', rules: SHORT_RULES });
+
+    assert.equal(result.completed, true);
+    assert.ok(entrants.some(({ name }) => name === result.winner));
+    assert.equal(result.roundTurns.length, 2);
+    assert.ok(result.roundTurns.every(turns => turns > 0));
+    entrants.forEach(({ name }) => assert.equal(result.scores[name].length, 2));
+});
+
+test('a simulation summarises every seat and round, and repeats exactly from its seed', () => {
+    const run = () => simulation.runSimulation({
+        entrants: entrantsFor(['hard', 'easy']),
+        games: 2,
+        seed: 'repeat',
+        rules: SHORT_RULES
+    });
+
+    const summary = run();
+
+    assert.equal(summary.games, 2);
+    assert.equal(summary.completed, 2);
+    assert.deepEqual(summary.players.map(p => p.name), ['hard-1', 'easy-2']);
+    assert.equal(summary.players.reduce((sum, p) => sum + p.wins, 0), 2);
+    assert.deepEqual(summary.rounds.map(r => r.contract), ['1 Set of 3', '1 Run of 4']);
+    assert.deepEqual(run(), summary);
+
+    const csv = simulation.simulationToCsv(summary).split('\n');
+    assert.equal(csv[0], 'name,difficulty,games,wins,winRate,averageTotalScore,averageRoundScore,roundsWon,buysPerRound');
+    assert.ok(csv[1].startsWith('hard-1,hard,2,'));
+});
+
+test('a game the deck can\'t deal is reported, not played', () => {
+    const rules = validateRules({ decks: 1, cardsDealt: { base: 20, perRound: 1 } }).rules;
+
+    const summary = simulation.runSimulation({ entrants: entrantsFor(['easy', 'easy', 'easy']), games: 1, rules });
+
+    assert.equal(summary.completed, 0);
+    assert.match(summary.unfinished[0], /Not enough cards/);
+});
+
+test('the simulator command line is checked before anything runs', () => {
+    assert.deepEqual(parseArgs(['--games', '10', '--players', 'hard,easy', '--format', 'csv']).options.players, ['hard', 'easy']);
+    assert.equal(parseArgs(['--games', '10']).options.games, 10);
+    assert.match(parseArgs(['--players', 'hard,expert']).error, /--players/);
+    assert.match(parseArgs(['--players', 'hard']).error, /two seats/);
+    assert.match(parseArgs(['--games', '0']).error, /--games/);
+    assert.match(parseArgs(['--games']).error, /needs a value/);
+    assert.match(parseArgs(['--turbo', 'yes']).error, /Unknown option/);
+});
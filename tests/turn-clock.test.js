@@ -0,0 +1,107 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { TURN_TIME_LIMIT_MS, validateRules, createVirtualClock } = require('../engine');
+const { silenceLogs, createGame, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+function clockedGame(rules) {
+    const clock = createVirtualClock();
+    const game = createGame({ options: { clock, rules } });
+    return { game, clock };
+}
+
+// Nobody wants the discard, so the player's clock starts
+function passBuyPhase(game, player) {
+    game.handleCurrentPlayerDiscardDecision(player, false);
+    game.players.filter(other => other !== player).forEach(other => game.submitBuyRequest(other, false));
+}
+
+// A player who is paying attention: turn down the discard, then draw and discard
+function takeTurn(game, player) {
+    passBuyPhase(game, player);
+    game.drawCard(player);
+    game.discardCard(player, 0);
+}
+
+function eventsBy(game, player) {
+    return game.eventLog.filter(event => event.player === player).map(event => event.type);
+}
+
+test('everyone sees the turn clock, and running out of time draws and discards for the player', () => {
+    const { game, clock } = clockedGame();
+
+    assert.equal(game.getGameState('Dad').turnPhase.turnDeadline, TURN_TIME_LIMIT_MS);
+    assert.equal(game.getSpectatorState().turnPhase.turnDeadline, TURN_TIME_LIMIT_MS);
+
+    clock.advance(TURN_TIME_LIMIT_MS);
+
+    assert.deepEqual(eventsBy(game, 'Mom'), ['playerJoined', 'turnTimedOut', 'draw', 'discard']);
+    assert.equal(game.playerHands.get('Mom').length, 11);
+    assert.equal(game.getCurrentPlayer(), 'Dad');
+    assert.equal(game.getGameState('Mom').turnPhase.turnDeadline, null);
+});
+
+test('the clock starts once the buy phase is over and stops when the turn ends', () => {
+    const { game, clock } = clockedGame();
+    game.drawCard('Mom');
+    game.discardCard('Mom', 0);
+    clock.advance(5000);
+
+    game.handleCurrentPlayerDiscardDecision('Dad', false);
+    game.submitBuyRequest('Mom', false);
+    assert.equal(game.turnState.turnDeadline, 5000 + TURN_TIME_LIMIT_MS);
+
+    game.drawCard('Dad');
+    game.discardCard('Dad', 0);
+    clock.advance(TURN_TIME_LIMIT_MS);
+
+    assert.equal(eventsBy(game, 'Dad').includes('turnTimedOut'), false);
+});
+
+test('an AI plays for a player who keeps timing out until they come back', () => {
+    const { game, clock } = clockedGame();
+
+    clock.advance(TURN_TIME_LIMIT_MS);
+    takeTurn(game, 'Dad');
+    assert.equal(game.autopilot.has('Mom'), false);
+
+    passBuyPhase(game, 'Mom');
+    clock.advance(TURN_TIME_LIMIT_MS);
+    assert.equal(game.autopilot.has('Mom'), true);
+    assert.deepEqual(game.getGameState('Dad').autopilotPlayers, ['Mom']);
+
+    // With the AI in the seat, Mom's turns play themselves, once Dad's chance to buy has passed
+    takeTurn(game, 'Dad');
+    clock.advance(game.rules.buyTimeLimitMs + 10000);
+    assert.equal(eventsBy(game, 'Mom').filter(type => type === 'discard').length, 3);
+    assert.equal(eventsBy(game, 'Mom').filter(type => type === 'turnTimedOut').length, 2);
+
+    assert.equal(game.resumeControl('Mom').success, true);
+    assert.equal(game.autopilot.has('Mom'), false);
+    assert.equal(game.idleTurns.has('Mom'), false);
+});
+
+test('finishing a turn in time forgives an earlier time-out', () => {
+    const { game, clock } = clockedGame();
+
+    clock.advance(TURN_TIME_LIMIT_MS);
+    takeTurn(game, 'Dad');
+    takeTurn(game, 'Mom');
+
+    assert.equal(game.idleTurns.has('Mom'), false);
+    assert.equal(game.autopilot.size, 0);
+});
+
+test('house rules set the turn clock or turn it off', () => {
+    assert.equal(validateRules({ turnTimeLimitMs: 30000 }).rules.turnTimeLimitMs, 30000);
+    assert.match(validateRules({ turnTimeLimitMs: 5000 }).message, /Turn time limit/);
+
+    const { game, clock } = clockedGame(validateRules({ turnTimeLimitMs: 0 }).rules);
+    clock.advance(10 * TURN_TIME_LIMIT_MS);
+
+    assert.equal(game.getGameState('Mom').turnPhase.turnDeadline, null);
+    assert.equal(game.getCurrentPlayer(), 'Mom');
+    assert.equal(game.turnState.hasDrawn, false);
+});
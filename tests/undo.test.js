@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Game } = require('../engine');
+const { silenceLogs, createGame, meld, displays, disposeGames } = require('./helpers');
+
+silenceLogs();
+after(disposeGames);
+
+// Round 1's contract is two sets of three
+const ROUND_ONE_HAND = ['7H', '7S', '7D', 'KH', 'KS', 'KC', '4C', '9D'];
+
+// Mom is already down with Dad's set of nines on the table, and has drawn
+function downGame(hand) {
+    const game = createGame({ hands: { Mom: hand } });
+    game.playerGoneDown.set('Mom', true);
+    game.playerMelds.get('Dad').push(meld(game, 'set', ['9H', '9S', '9D']));
+    game.turnState.hasDrawn = true;
+    return game;
+}
+
+test('undo takes back this turn\'s melds and lay-offs, latest first', () => {
+    const game = downGame(['QH', 'QS', 'QD', '9C', '4S']);
+
+    assert.equal(game.makeMeld('Mom', [0, 1, 2], 'set').success, true);
+    assert.equal(game.layOffCard('Mom', 0, 'Dad', 0).success, true);
+    assert.equal(game.getGameState('Mom').turnPhase.canUndo, true);
+    assert.equal(game.getGameState('Dad').turnPhase.canUndo, false);
+
+    assert.deepEqual(game.undoAction('Mom'), { success: true, action: 'layOff' });
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['9♣', '4♠']);
+    assert.equal(game.playerMelds.get('Dad')[0].cards.length, 3);
+
+    assert.deepEqual(game.undoAction('Mom'), { success: true, action: 'makeMeld' });
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['Q♥', 'Q♠', 'Q♦', '9♣', '4♠']);
+    assert.equal(game.playerMelds.get('Mom').length, 0);
+    assert.equal(game.playerHands.get('Mom').every(card => card.represents === null), true);
+
+    assert.match(game.undoAction('Mom').message, /Nothing to undo/);
+    assert.equal(game.eventLog.filter(event => event.type === 'undo').length, 2);
+});
+
+test('a go-down can be taken back, and the cards go down again differently', () => {
+    const game = createGame({ hands: { Mom: ROUND_ONE_HAND } });
+    game.turnState.hasDrawn = true;
+    game.goDown('Mom', [
+        { cardIndices: [0, 1, 2], meldType: 'set' },
+        { cardIndices: [3, 4, 5], meldType: 'set' }
+    ]);
+
+    assert.equal(game.undoAction('Mom').success, true);
+
+    assert.equal(game.hasGoneDown('Mom'), false);
+    assert.equal(game.turnState.wentDown, false);
+    assert.deepEqual(displays(game.playerHands.get('Mom')), ['7♥', '7♠', '7♦', 'K♥', 'K♠', 'K♣', '4♣', '9♦']);
+    assert.equal(game.goDown('Mom', [
+        { cardIndices: [3, 4, 5], meldType: 'set' },
+        { cardIndices: [0, 1, 2], meldType: 'set' }
+    ]).success, true);
+});
+
+test('only the player whose turn it is can undo, and only until they draw or discard', () => {
+    const game = downGame(['QH', 'QS', 'QD', '9C', '4S']);
+    game.turnState.hasDrawn = false;
+    game.makeMeld('Mom', [0, 1, 2], 'set');
+
+    assert.match(game.undoAction('Dad').message, /Not your turn/);
+
+    // Drawing touches the shared pile, so what came before stays
+    game.drawCard('Mom');
+    assert.match(game.undoAction('Mom').message, /Nothing to undo/);
+
+    game.discardCard('Mom', 0);
+    assert.match(game.undoAction('Mom').message, /Not your turn/);
+    assert.equal(game.playerMelds.get('Mom').length, 1);
+});
+
+test('a game saved mid-turn can still undo what was done before the save', () => {
+    const game = downGame(['QH', 'QS', 'QD', '9C', '4S']);
+    game.makeMeld('Mom', [0, 1, 2], 'set');
+
+    const restored = Game.fromJSON(JSON.parse(JSON.stringify(game)));
+
+    assert.equal(restored.undoAction('Mom').success, true);
+    assert.deepEqual(displays(restored.playerHands.get('Mom')), ['Q♥', 'Q♠', 'Q♦', '9♣', '4♠']);
+    restored.dispose();
+});
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+// Play bot-vs-bot games without a server or browsers and report how each AI did.
+//
+//   node tools/simulate.js --games 200 --players hard,easy,easy --format csv
+//   node tools/simulate.js --rules house-rules.json --wild-cards jokers
+const fs = require('fs');
+const {
+    AI_DIFFICULTIES,
+    WILD_CARD_OPTIONS,
+    ACE_RUN_OPTIONS,
+    validateRules,
+    simulation
+} = require('../engine');
+
+const USAGE = `Usage: node tools/simulate.js [options]
+
+  --games N           games to play (default 50)
+  --players LIST      comma-separated difficulties, one per seat (default easy,medium,hard)
+  --seed TEXT         base seed for the deals (default sim)
+  --rules FILE        JSON house rules, as accepted when creating a game
+  --wild-cards MODE   ${WILD_CARD_OPTIONS.join(' | ')} (default none)
+  --ace-runs MODE     ${ACE_RUN_OPTIONS.join(' | ')} (default low)
+  --format FORMAT     json | csv (default json)
+  --help              show this message`;
+
+// Returns { options } or { error }
+function parseArgs(argv) {
+    const options = {
+        games: 50,
+        players: ['easy', 'medium', 'hard'],
+        seed: 'sim',
+        rulesFile: null,
+        wildCards: 'none',
+        aceRuns: 'low',
+        format: 'json',
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const flag = argv[i];
+        if (flag === '--help' || flag === '-h') {
+            options.help = true;
+            continue;
+        }
+
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) return { error: `${flag} needs a value` };
+        i++;
+
+        switch (flag) {
+            case '--games':
+                options.games = Number(value);
+                if (!Number.isInteger(options.games) || options.games < 1) return { error: '--games must be a whole number above 0' };
+                break;
+            case '--players':
+                options.players = value.split(',').map(difficulty => difficulty.trim());
+                if (options.players.length < 2) return { error: '--players needs at least two seats' };
+                if (options.players.some(difficulty => !AI_DIFFICULTIES.includes(difficulty))) {
+                    return { error: `--players takes ${AI_DIFFICULTIES.join(', ')}` };
+                }
+                break;
+            case '--seed':
+                options.seed = value;
+                break;
+            case '--rules':
+                options.rulesFile = value;
+                break;
+            case '--wild-cards':
+                if (!WILD_CARD_OPTIONS.includes(value)) return { error: `--wild-cards takes ${WILD_CARD_OPTIONS.join(', ')}` };
+                options.wildCards = value;
+                break;
+            case '--ace-runs':
+                if (!ACE_RUN_OPTIONS.includes(value)) return { error: `--ace-runs takes ${ACE_RUN_OPTIONS.join(', ')}` };
+                options.aceRuns = value;
+                break;
+            case '--format':
+                if (value !== 'json' && value !== 'csv') return { error: '--format takes json or csv' };
+                options.format = value;
+                break;
+            default:
+                return { error: `Unknown option ${flag}` };
+        }
+    }
+
+    return { options };
+}
+
+// Each seat gets a name that says what it is, e.g. hard-1, easy-2
+function entrantsFor(difficulties) {
+    return difficulties.map((difficulty, seat) => ({ name: `${difficulty}-${seat + 1}`, difficulty }));
+}
+
+function loadRules(rulesFile) {
+    if (!rulesFile) return validateRules(undefined);
+
+    let input;
+    try {
+        input = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        return { success: false, message: `Could not read rules from ${rulesFile}: ${error.message}` };
+    }
+    return validateRules(input);
+}
+
+function main(argv) {
+    const { options, error } = parseArgs(argv);
+    if (error) {
+        process.stderr.write(`${error}\n\n${USAGE}\n`);
+        return 1;
+    }
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const checkedRules = loadRules(options.rulesFile);
+    if (!checkedRules.success) {
+        process.stderr.write(`${checkedRules.message}\n`);
+        return 1;
+    }
+
+    // The engine narrates every move; keep stdout for the report
+    const log = console.log;
+    console.log = () => {};
+    let summary;
+    try {
+        summary = simulation.runSimulation({
+            entrants: entrantsFor(options.players),
+            games: options.games,
+            seed: options.seed,
+            rules: checkedRules.rules,
+            wildCards: options.wildCards,
+            aceRuns: options.aceRuns,
+            onGame: (result, index) => process.stderr.write(`\rPlayed ${index + 1}/${options.games}`)
+        });
+    } finally {
+        console.log = log;
+        process.stderr.write('\n');
+    }
+
+    const report = options.format === 'csv'
+        ? simulation.simulationToCsv(summary)
+        : `${JSON.stringify({ seed: options.seed, wildCards: options.wildCards, aceRuns: options.aceRuns, ...summary }, null, 2)}\n`;
+    process.stdout.write(report);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+    parseArgs,
+    entrantsFor,
+    main
+};
@@ -0,0 +1,25 @@
+// Every 'error' a client is sent carries one of these codes, so clients can react to
+// the kind of problem. The message alongside is for showing to people.
+const ERROR_CODES = Object.freeze({
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD', // the event or its data didn't match the schema
+    RATE_LIMITED: 'RATE_LIMITED', // too many events from one connection
+    NOT_HOST: 'NOT_HOST',
+    GAME_NOT_FOUND: 'GAME_NOT_FOUND',
+    GAME_STARTED: 'GAME_STARTED',
+    GAME_FULL: 'GAME_FULL',
+    NAME_TAKEN: 'NAME_TAKEN',
+    ALREADY_SEATED: 'ALREADY_SEATED', // this connection already has a seat or is watching
+    SEAT_UNAVAILABLE: 'SEAT_UNAVAILABLE', // a session token that no longer matches a seat
+    INVALID_RULES: 'INVALID_RULES',
+    BOT_UNAVAILABLE: 'BOT_UNAVAILABLE',
+    ILLEGAL_MOVE: 'ILLEGAL_MOVE' // the rules engine turned the action down
+});
+
+function errorPayload(code, message) {
+    return { success: false, code, message };
+}
+
+module.exports = {
+    ERROR_CODES,
+    errorPayload
+};
@@ -0,0 +1,146 @@
+const {
+    AI_DIFFICULTIES,
+    WILD_CARD_OPTIONS,
+    ACE_RUN_OPTIONS,
+    MAX_PLAYERS,
+    MAX_NAME_LENGTH,
+    MAX_BOT_NAME_LENGTH
+} = require('../engine');
+
+// The shape of every event a client may send. The socket adapter checks each incoming
+// payload against these before any handler runs, so handlers and the engine only see
+// well-formed data: whether a move is legal is still the engine's call.
+
+// Bigger than any hand or meld list a real game reaches
+const MAX_INDEX = 99;
+const MAX_TOKEN_LENGTH = 64;
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+const isIndex = value => Number.isInteger(value) && value >= 0 && value <= MAX_INDEX;
+const isIndexList = value => Array.isArray(value) && value.length > 0 && value.length <= MAX_INDEX + 1 &&
+    value.every(isIndex) && new Set(value).size === value.length;
+const isShortString = max => value => typeof value === 'string' && value.length <= max;
+const isOneOf = options => value => options.includes(value);
+
+// Printable, not blank and no longer than MAX_NAME_LENGTH
+const isName = value => typeof value === 'string' && value.trim().length > 0 &&
+    value.length <= MAX_NAME_LENGTH && !/[\u0000-\u001f\u007f]/.test(value);
+
+const FIELD_TYPES = {
+    name: { check: isName, expected: `a name of 1 to ${MAX_NAME_LENGTH} characters` },
+    gameCode: { check: value => typeof value === 'string' && /^[A-Za-z0-9]{0,10}$/.test(value), expected: 'a game code' },
+    token: { check: isShortString(MAX_TOKEN_LENGTH), expected: 'a session token' },
+    seed: { check: isShortString(MAX_TOKEN_LENGTH), expected: `text of up to ${MAX_TOKEN_LENGTH} characters` },
+    flag: { check: value => typeof value === 'boolean', expected: 'true or false' },
+    index: { check: isIndex, expected: `a whole number from 0 to ${MAX_INDEX}` },
+    indexList: { check: isIndexList, expected: 'a list of different card positions' },
+    meldType: { check: isOneOf(['set', 'run']), expected: "'set' or 'run'" },
+    difficulty: { check: isOneOf(AI_DIFFICULTIES), expected: AI_DIFFICULTIES.join(', ') },
+    // The game seats fewer when its rules can't deal to this many
+    aiCount: { check: value => Number.isInteger(value) && value >= 0 && value < MAX_PLAYERS, expected: `0 to ${MAX_PLAYERS - 1}` },
+    wildCards: { check: isOneOf(WILD_CARD_OPTIONS), expected: WILD_CARD_OPTIONS.join(', ') },
+    aceRuns: { check: isOneOf(ACE_RUN_OPTIONS), expected: ACE_RUN_OPTIONS.join(', ') },
+    // House rules are checked in full by validateRules
+    rules: { check: isPlainObject, expected: 'an object of house rules' },
+    bot: { check: isShortString(MAX_BOT_NAME_LENGTH), expected: `a bot name of up to ${MAX_BOT_NAME_LENGTH} characters` },
+    seating: {
+        check: value => Array.isArray(value) && value.length <= MAX_PLAYERS && value.every(isName),
+        expected: `a list of up to ${MAX_PLAYERS} player names`
+    },
+    melds: {
+        check: value => Array.isArray(value) && value.length > 0 && value.length <= 10 && value.every(meld =>
+            isPlainObject(meld) && Object.keys(meld).length === 2 && isIndexList(meld.cardIndices) && isOneOf(['set', 'run'])(meld.meldType)),
+        expected: 'a list of { cardIndices, meldType } melds'
+    },
+    // New melds built from cards already on the table
+    layout: {
+        check: value => Array.isArray(value) && value.length > 0 && value.length <= 10 && value.every(meld =>
+            isPlainObject(meld) && Object.keys(meld).length === 2 && isOneOf(['set', 'run'])(meld.meldType) &&
+            Array.isArray(meld.cards) && meld.cards.length > 0 && meld.cards.length <= MAX_INDEX + 1 &&
+            meld.cards.every(position => isPlainObject(position) && Object.keys(position).length === 2 &&
+                isIndex(position.meldIndex) && isIndex(position.cardIndex))),
+        expected: 'a list of { cards: [{ meldIndex, cardIndex }], meldType } melds'
+    }
+};
+
+const required = type => ({ ...FIELD_TYPES[type], required: true });
+const optional = type => ({ ...FIELD_TYPES[type], required: false });
+const nullable = type => ({ ...FIELD_TYPES[type], check: value => value === null || FIELD_TYPES[type].check(value), required: false });
+
+// Event name -> the fields its payload may have. An empty schema takes no payload.
+const EVENT_SCHEMAS = {
+    joinGame: {
+        playerName: required('name'),
+        gameCode: optional('gameCode'),
+        aiCount: optional('aiCount'),
+        wildCards: optional('wildCards'),
+        aceRuns: optional('aceRuns'),
+        rules: optional('rules'),
+        seed: optional('seed'),
+        isPublic: optional('flag'),
+        profileToken: optional('token')
+    },
+    quickJoin: { playerName: required('name'), profileToken: optional('token') },
+    rejoinGame: { gameCode: required('gameCode'), sessionToken: required('token') },
+    spectateGame: { gameCode: required('gameCode') },
+    stopSpectating: {},
+    joinAsBot: { gameCode: required('gameCode'), playerName: optional('name'), sessionToken: optional('token') },
+
+    // Host controls
+    setPublic: { isPublic: required('flag') },
+    setOpenHands: { enabled: required('flag') },
+    setTakeoverDifficulty: { difficulty: nullable('difficulty') },
+    addAI: { difficulty: required('difficulty') },
+    setAIDifficulty: { playerName: required('name'), difficulty: required('difficulty') },
+    kickPlayer: { playerName: required('name') },
+    reorderSeats: { order: required('seating') },
+    transferHost: { playerName: required('name') },
+    addBot: { bot: required('bot') },
+    startGame: {},
+
+    // Playing a turn
+    drawCard: {},
+    pickUpDiscard: {},
+    discardDecision: { wantsDiscard: required('flag') },
+    submitBuyRequest: { wantsCard: required('flag') },
+    goDown: { melds: required('melds') },
+    makeMeld: { cardIndices: required('indexList'), meldType: required('meldType') },
+    layOffCard: { cardIndex: required('index'), targetPlayer: required('name'), meldIndex: required('index') },
+    swapWildCard: { cardIndex: required('index'), targetPlayer: required('name'), meldIndex: required('index') },
+    discardCard: { cardIndex: required('index') },
+    reorderCards: { cardOrder: required('indexList') },
+    rearrangeMelds: { melds: required('layout') },
+    undoAction: {},
+    resumeControl: {}
+};
+
+// Check one incoming event. Returns null when it is fine, otherwise what is wrong with it.
+function validatePayload(eventName, payload) {
+    const schema = EVENT_SCHEMAS[eventName];
+    if (!schema) return `Unknown event ${String(eventName).slice(0, 40)}`;
+
+    const fields = Object.keys(schema);
+    if (payload === undefined || payload === null) {
+        const missing = fields.find(field => schema[field].required);
+        return missing ? `${eventName} needs ${missing}` : null;
+    }
+    if (!isPlainObject(payload)) return `${eventName} takes an object`;
+
+    const unknown = Object.keys(payload).find(field => !fields.includes(field));
+    if (unknown !== undefined) return `${eventName} doesn't take ${String(unknown).slice(0, 40)}`;
+
+    for (const field of fields) {
+        const { check, required: isRequired, expected } = schema[field];
+        if (payload[field] === undefined) {
+            if (isRequired) return `${eventName} needs ${field}`;
+        } else if (!check(payload[field])) {
+            return `${eventName}: ${field} must be ${expected}`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    EVENT_SCHEMAS,
+    validatePayload
+};
@@ -0,0 +1,70 @@
+const { Game } = require('../engine');
+
+// HTTP endpoints that read game state and match history
+function registerHttpRoutes(app, games, botLibrary = null, history = null) {
+    // Bots the host can add from the lobby
+    app.get('/bots', (req, res) => {
+        res.json({ bots: botLibrary ? botLibrary.list() : [] });
+    });
+
+    // Public tables still waiting for players, fullest first - the ones quickJoin would fill
+    app.get('/api/games', (req, res) => {
+        res.json({ games: Game.openTables(games.values()).map(game => game.getListing()) });
+    });
+
+    // Lifetime standings of everyone who has finished a game
+    app.get('/api/leaderboard', (req, res) => {
+        res.json({ players: history ? history.leaderboard() : [] });
+    });
+
+    app.get('/api/players/:profileId', (req, res) => {
+        const stats = history ? history.playerStats(req.params.profileId) : null;
+        if (!stats) {
+            res.status(404).json({ error: 'Player not found' });
+            return;
+        }
+        res.json(stats);
+    });
+
+    // Completed games, newest first
+    app.get('/api/matches', (req, res) => {
+        res.json({ matches: history ? history.recentMatches() : [] });
+    });
+
+    // Structured event log for a game. While a game is still being played the
+    // seed and recorded deck orders are withheld, since they would reveal everyone's hand.
+    app.get('/games/:code/replay', (req, res) => {
+        const game = games.get(req.params.code.toUpperCase());
+        if (!game) {
+            res.status(404).json({ error: 'Game not found' });
+            return;
+        }
+
+        const events = game.gameComplete
+            ? game.eventLog
+            : game.eventLog.map(({ deckOrder, seed, deckSeed, ...event }) => event);
+        const response = { gameCode: game.gameCode, gameComplete: game.gameComplete, events };
+
+        if (req.query.at !== undefined) {
+            const at = Number(req.query.at);
+            if (!Number.isInteger(at) || at < 0 || at >= game.eventLog.length) {
+                res.status(400).json({ error: `Event index must be between 0 and ${game.eventLog.length - 1}` });
+                return;
+            }
+            if (!game.gameComplete) {
+                res.status(403).json({ error: 'Table state is only available once the game is complete' });
+                return;
+            }
+
+            const { sessionTokens, eventLog, ...state } = Game.replay(game.eventLog, at).toJSON();
+            response.at = at;
+            response.state = state;
+        }
+
+        res.json(response);
+    });
+}
+
+module.exports = {
+    registerHttpRoutes
+};
@@ -0,0 +1,27 @@
+// Token bucket for one connection: a burst of up to `capacity` events, then
+// `refillPerSecond` more each second.
+const RATE_LIMIT_CAPACITY = 30;
+const RATE_LIMIT_REFILL_PER_SECOND = 10;
+
+class RateLimiter {
+    constructor({ capacity = RATE_LIMIT_CAPACITY, refillPerSecond = RATE_LIMIT_REFILL_PER_SECOND, now = Date.now } = {}) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.now = now;
+        this.tokens = capacity;
+        this.updatedAt = now();
+    }
+
+    // Spend a token for one event. False when the bucket is empty and the event should be dropped.
+    allow() {
+        const now = this.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerSecond / 1000);
+        this.updatedAt = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+}
+
+module.exports = RateLimiter;
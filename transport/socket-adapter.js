@@ -0,0 +1,928 @@
+const { Game, BotDriver, RECONNECT_GRACE_MS, DEFAULT_RULES, validateRules } = require('../engine');
+const { ERROR_CODES, errorPayload } = require('./errors');
+const { validatePayload } = require('./event-schemas');
+const RateLimiter = require('./rate-limiter');
+
+// Carries games between Socket.IO clients and the rules engine: socket events
+// become engine calls, and engine events become socket messages.
+class SocketAdapter {
+    constructor(io, games, store = null, botLibrary = null, history = null) {
+        this.io = io;
+        this.games = games;
+        this.store = store;
+        this.botLibrary = botLibrary;
+        this.history = history;
+        // game code -> Map of player ID -> socket id. Names are only unique within a game,
+        // so a socket is always found through the game it belongs to.
+        this.playerSockets = new Map();
+        this.spectators = new Map(); // game code -> Set of spectator socket ids
+        this.botDrivers = new Map(); // game code -> BotDriver playing its bot seats
+
+        this.io.on('connection', (socket) => this.handleConnection(socket));
+    }
+
+    // Start serving a new or restored game
+    addGame(game) {
+        this.games.set(game.gameCode, game);
+        this.attach(game);
+    }
+
+    attach(game) {
+        game.on('message', message => this.sendMessage(game, message));
+        game.on('update', () => this.sendGameUpdate(game));
+        game.on('discardOffer', ({ playerName, card, timeLimit }) => {
+            this.emitToPlayer(game, playerName, 'discardOffer', { card, timeLimit });
+        });
+        game.on('buyRequest', ({ playerName, card, timeLimit }) => {
+            this.emitToPlayer(game, playerName, 'buyRequest', { card, timeLimit });
+        });
+        game.on('roundEnded', roundResult => this.announceRoundEnd(game, roundResult));
+        game.on('seatExpired', playerName => this.removeDepartedPlayer(game, playerName));
+
+        if (this.store) {
+            this.store.watch(game, () => this.games.get(game.gameCode) === game);
+        }
+        if (this.history) this.history.watch(game);
+
+        // Bots from the bots directory take their seats again after a restart; socket bots reconnect themselves
+        this.botDrivers.set(game.gameCode, new BotDriver(game));
+        game.botPlayers.forEach((botName, playerName) => {
+            if (botName) this.attachLibraryBot(game, playerName, botName);
+        });
+    }
+
+    attachLibraryBot(game, playerName, botName) {
+        const loaded = this.botLibrary ? this.botLibrary.load(botName) : { success: false, message: 'No bots are installed' };
+        if (loaded.success) {
+            this.botDrivers.get(game.gameCode).attach(playerName, loaded.bot);
+        } else {
+            console.log(`Bot seat ${playerName} will be played safe: ${loaded.message}`);
+        }
+        return loaded;
+    }
+
+    createGame(hostName, aiCount, options) {
+        const game = new Game(generateGameCode(), hostName, aiCount, options);
+        this.addGame(game);
+        console.log(`Created new ${game.isPublic ? 'public' : 'private'} game ${game.gameCode} with ${game.aiPlayers.size} AI players`);
+        return game;
+    }
+
+    // Whether this connection may sit down as a player, reporting why not
+    canTakeSeat(socket, playerName) {
+        if (socket.spectating) {
+            this.sendError(socket, ERROR_CODES.ALREADY_SEATED, 'Stop watching before taking a seat');
+            return false;
+        }
+        if (socket.botSeat) {
+            this.sendError(socket, ERROR_CODES.ALREADY_SEATED, 'This connection is already at a table');
+            return false;
+        }
+        if (!playerName) {
+            this.sendError(socket, ERROR_CODES.INVALID_PAYLOAD, 'Player name required');
+            return false;
+        }
+        if (this.socketFor(this.games.get(socket.gameCode), socket.playerName) === socket) {
+            this.sendError(socket, ERROR_CODES.ALREADY_SEATED, 'You already have a seat in a game');
+            return false;
+        }
+        return true;
+    }
+
+    // `profileToken` is the browser's key to the player's lifetime stats; without one they get a new profile
+    seatPlayer(socket, game, playerName, profileToken) {
+        const gameCode = game.gameCode;
+        if (!game.addPlayer(playerName)) {
+            this.sendError(socket, ERROR_CODES.NAME_TAKEN, 'Player name already taken');
+            return;
+        }
+
+        this.bindSocket(game, playerName, socket);
+        const profile = this.history ? this.history.profileFor(profileToken, playerName) : {};
+        if (profile.profileId) game.setPlayerProfile(playerName, profile.profileId);
+
+        socket.emit('sessionToken', {
+            gameCode,
+            playerName,
+            playerId: game.getPlayerId(playerName),
+            sessionToken: game.issueSessionToken(playerName),
+            ...profile
+        });
+
+        this.sendPlayerList(game);
+
+        socket.emit('spectatorsChanged', { count: this.spectatorCount(gameCode) });
+
+        console.log(`${playerName} joined game ${gameCode}`);
+    }
+
+    // This socket now speaks for the player's seat in the game
+    bindSocket(game, playerName, socket) {
+        if (!this.playerSockets.has(game.gameCode)) this.playerSockets.set(game.gameCode, new Map());
+        this.playerSockets.get(game.gameCode).set(game.getPlayerId(playerName), socket.id);
+        socket.playerName = playerName;
+        socket.playerId = game.getPlayerId(playerName);
+        socket.gameCode = game.gameCode;
+        socket.join(game.gameCode);
+    }
+
+    unbindSocket(game, playerName) {
+        this.playerSockets.get(game.gameCode)?.delete(game.getPlayerId(playerName));
+    }
+
+    // Another connection has reclaimed this socket's seat, so it may no longer act for it
+    supersedeSocket(socket) {
+        socket.leave(socket.gameCode);
+        socket.playerName = null;
+        socket.playerId = null;
+        socket.gameCode = null;
+        this.sendError(socket, ERROR_CODES.SEAT_UNAVAILABLE, 'Your seat was picked up from another window');
+    }
+
+    // The socket currently playing a seat, if it is connected
+    socketFor(game, playerName) {
+        if (!game) return null;
+        const socketId = this.playerSockets.get(game.gameCode)?.get(game.getPlayerId(playerName));
+        return socketId ? this.io.sockets.sockets.get(socketId) || null : null;
+    }
+
+    // Tell one connection what went wrong. Every error carries a code from ERROR_CODES.
+    sendError(socket, code, message) {
+        socket.emit('error', errorPayload(code, message));
+    }
+
+    // Pass on a failed result. The engine only turns down moves, so that is the default code.
+    sendFailure(socket, result, code = ERROR_CODES.ILLEGAL_MOVE) {
+        this.sendError(socket, result.code || code, result.message);
+    }
+
+    // The lobby as everyone sees it; each client works out whether it is the host from hostName
+    sendPlayerList(game) {
+        const { players, gameCode, hostName, isPublic, aiPlayers, aiDifficulties, botPlayers } = game.getSpectatorState();
+        this.io.to(game.gameCode).emit('playerJoined', { players, gameCode, hostName, isPublic, aiPlayers, aiDifficulties, botPlayers });
+    }
+
+    // The game the socket's player hosts, for host-only controls. Otherwise reports why not and returns null.
+    hostedGame(socket, action) {
+        const game = this.games.get(socket.gameCode);
+        if (!game || socket.playerName !== game.hostName) {
+            this.sendError(socket, ERROR_CODES.NOT_HOST, `Only host can ${action}`);
+            return null;
+        }
+        return game;
+    }
+
+    // Send a removed seat's connection away from the table
+    releaseSeat(game, playerName) {
+        this.botDrivers.get(game.gameCode)?.detach(playerName);
+
+        this.io.sockets.sockets.forEach(socket => {
+            if (socket.gameCode === game.gameCode && socket.playerName === playerName) {
+                // The seat, and with it the player's ID, is already gone from the game
+                this.playerSockets.get(game.gameCode)?.delete(socket.playerId);
+                socket.playerName = null;
+                socket.playerId = null;
+                socket.gameCode = null;
+            } else if (socket.botSeat && socket.botSeat.gameCode === game.gameCode && socket.botSeat.playerName === playerName) {
+                socket.botSeat = null;
+            } else {
+                return;
+            }
+            socket.leave(game.gameCode);
+            socket.emit('kicked', { gameCode: game.gameCode });
+        });
+    }
+
+    emitToPlayer(game, playerName, eventName, data) {
+        const playerSocket = this.socketFor(game, playerName);
+        if (playerSocket) {
+            playerSocket.emit(eventName, data);
+        }
+    }
+
+    sendMessage(game, message) {
+        this.io.to(game.gameCode).emit('gameMessage', { message });
+    }
+
+    sendGameUpdate(game) {
+        game.players.forEach(playerName => {
+            if (!game.aiPlayers.has(playerName)) { // Only send to human players
+                this.emitToPlayer(game, playerName, 'gameUpdate', game.getGameState(playerName));
+            }
+        });
+        this.sendSpectatorUpdate(game);
+    }
+
+    // Spectators share the game room for public messages, but only ever get the public projection
+    sendSpectatorUpdate(game, eventName = 'gameUpdate') {
+        const watchers = this.spectators.get(game.gameCode);
+        if (!watchers || watchers.size === 0) return;
+
+        const state = game.getSpectatorState();
+        watchers.forEach(socketId => this.io.to(socketId).emit(eventName, state));
+    }
+
+    spectatorCount(gameCode) {
+        return this.spectators.get(gameCode)?.size || 0;
+    }
+
+    sendSpectatorCount(gameCode) {
+        this.io.to(gameCode).emit('spectatorsChanged', { count: this.spectatorCount(gameCode) });
+    }
+
+    removeSpectator(socket) {
+        const gameCode = socket.spectating;
+        const watchers = this.spectators.get(gameCode);
+        socket.spectating = null;
+        socket.leave(gameCode);
+        if (!watchers) return;
+
+        watchers.delete(socket.id);
+        if (watchers.size === 0) this.spectators.delete(gameCode);
+        this.sendSpectatorCount(gameCode);
+    }
+
+    announceRoundEnd(game, roundResult) {
+        this.sendMessage(game, `🎉 Round ended!`);
+
+        if (roundResult.gameEnded && roundResult.finalResults) {
+            setTimeout(() => {
+                this.io.to(game.gameCode).emit('gameComplete', roundResult.finalResults);
+                this.sendMessage(game, `🏆 GAME COMPLETE! Winner: ${roundResult.finalResults.winner} with ${roundResult.finalResults.winnerScore} points! 🏆`);
+            }, 1500);
+        } else {
+            setTimeout(() => {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `Starting Round ${game.currentRound}!`);
+            }, 2000);
+        }
+    }
+
+    removeDepartedPlayer(game, playerName) {
+        const gameCode = game.gameCode;
+        game.leaveTable(playerName);
+
+        this.io.to(gameCode).emit('playerLeft', {
+            players: game.players,
+            playerName
+        });
+        if (game.gameStarted) {
+            this.sendGameUpdate(game);
+        } else {
+            this.sendPlayerList(game);
+        }
+
+        // Seats the AI took over from departed players don't keep the game alive
+        const isHumanHere = p => !game.aiPlayers.has(p) && !game.botPlayers.has(p) &&
+            (this.socketFor(game, p) || game.isDisconnected(p));
+        if (game.players.filter(isHumanHere).length === 0) {
+            this.games.delete(gameCode);
+            this.spectators.delete(gameCode);
+            this.playerSockets.delete(gameCode);
+            this.botDrivers.get(gameCode)?.dispose();
+            this.botDrivers.delete(gameCode);
+            if (this.store) this.store.remove(gameCode);
+            game.dispose();
+            game.removeAllListeners();
+            console.log(`Game ${gameCode} deleted - no human players remaining`);
+        }
+    }
+
+    handleConnection(socket) {
+        console.log('Player connected:', socket.id);
+
+        // Every event is rate limited and checked against its schema before a handler sees it.
+        // Anything that fails is dropped with an error to the sender.
+        const limiter = new RateLimiter();
+        socket.use(([eventName, payload], next) => {
+            if (!limiter.allow()) {
+                console.log(`Rate limited ${socket.id} on ${eventName}`);
+                this.sendError(socket, ERROR_CODES.RATE_LIMITED, 'Too many actions at once - slow down');
+                return;
+            }
+            const problem = validatePayload(eventName, payload);
+            if (problem) {
+                console.log(`Rejected ${eventName} from ${socket.id}: ${problem}`);
+                this.sendError(socket, ERROR_CODES.INVALID_PAYLOAD, problem);
+                return;
+            }
+            next();
+        });
+
+        socket.on('joinGame', (data) => {
+            const { playerName, gameCode, aiCount, wildCards, aceRuns, rules, seed, isPublic, profileToken } = data;
+            if (!this.canTakeSeat(socket, playerName)) return;
+
+            let game;
+
+            if (gameCode && this.games.has(gameCode)) {
+                game = this.games.get(gameCode);
+                if (game.gameStarted) {
+                    this.sendError(socket, ERROR_CODES.GAME_STARTED, 'Game already started');
+                    return;
+                }
+                if (!game.hasOpenSeat()) {
+                    this.sendError(socket, ERROR_CODES.GAME_FULL, 'Game is full');
+                    return;
+                }
+            } else {
+                const checkedRules = validateRules(rules);
+                if (!checkedRules.success) {
+                    this.sendFailure(socket, checkedRules, ERROR_CODES.INVALID_RULES);
+                    return;
+                }
+                
+                const aiPlayerCount = aiCount || 0;
+                game = this.createGame(playerName, aiPlayerCount, { wildCards, aceRuns, rules: checkedRules.rules, seed, isPublic: !!isPublic });
+                // The rules may not deal to as many seats as were asked for
+                if (game.aiPlayers.size < aiPlayerCount) {
+                    socket.emit('gameMessage', { message: `🤖 These rules only deal to ${game.seatCapacity()} seats, so ${game.aiPlayers.size} AI players joined` });
+                }
+            }
+
+            this.seatPlayer(socket, game, playerName, profileToken);
+        });
+
+        // Sit down at the fullest public table still waiting for players, or open a new public one
+        socket.on('quickJoin', (data) => {
+            const { playerName, profileToken } = data || {};
+            if (!this.canTakeSeat(socket, playerName)) return;
+
+            const game = Game.openTables(this.games.values()).find(table => !table.players.includes(playerName)) ||
+                this.createGame(playerName, 0, { rules: DEFAULT_RULES, isPublic: true });
+            this.seatPlayer(socket, game, playerName, profileToken);
+        });
+
+        socket.on('setPublic', (data) => {
+            const game = this.hostedGame(socket, 'list the game publicly');
+            if (!game) return;
+
+            game.setPublic(!!(data && data.isPublic));
+            if (!game.gameStarted) this.sendPlayerList(game);
+        });
+
+        socket.on('spectateGame', (data) => {
+            const { gameCode } = data || {};
+            const game = this.games.get(gameCode);
+            if (!game) {
+                this.sendError(socket, ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+                return;
+            }
+            if (socket.gameCode || socket.botSeat) {
+                this.sendError(socket, ERROR_CODES.ALREADY_SEATED, 'You already have a seat in a game');
+                return;
+            }
+            if (socket.spectating) this.removeSpectator(socket);
+
+            if (!this.spectators.has(gameCode)) this.spectators.set(gameCode, new Set());
+            this.spectators.get(gameCode).add(socket.id);
+            socket.spectating = gameCode;
+            socket.join(gameCode);
+
+            socket.emit('spectating', game.getSpectatorState());
+            this.sendSpectatorCount(gameCode);
+
+            console.log(`Spectator ${socket.id} watching game ${gameCode}`);
+        });
+
+        socket.on('stopSpectating', () => {
+            if (socket.spectating) this.removeSpectator(socket);
+        });
+
+        socket.on('setOpenHands', (data) => {
+            const game = this.hostedGame(socket, 'open hands to spectators');
+            if (!game) return;
+
+            game.setOpenHands(!!(data && data.enabled));
+        });
+
+        socket.on('setTakeoverDifficulty', (data) => {
+            const game = this.hostedGame(socket, 'choose who plays for players who leave');
+            if (!game) return;
+
+            const result = game.setTakeoverDifficulty(data && data.difficulty ? data.difficulty : null);
+            if (!result.success) this.sendFailure(socket, result);
+        });
+
+        // Lobby controls: each changes the seats, so everyone gets the new player list
+        socket.on('addAI', (data) => {
+            const game = this.hostedGame(socket, 'add AI players');
+            if (!game) return;
+
+            const result = game.addAISeat(data && data.difficulty);
+            if (!result.success) {
+                this.sendFailure(socket, result);
+                return;
+            }
+            this.sendPlayerList(game);
+        });
+
+        socket.on('setAIDifficulty', (data) => {
+            const game = this.hostedGame(socket, 'change AI difficulty');
+            if (!game) return;
+
+            const { playerName, difficulty } = data || {};
+            const result = game.setAIDifficulty(playerName, difficulty);
+            if (!result.success) {
+                this.sendFailure(socket, result);
+                return;
+            }
+            this.sendPlayerList(game);
+        });
+
+        socket.on('kickPlayer', (data) => {
+            const game = this.hostedGame(socket, 'remove players');
+            if (!game) return;
+
+            const playerName = data && data.playerName;
+            const result = game.kickPlayer(playerName);
+            if (!result.success) {
+                this.sendFailure(socket, result);
+                return;
+            }
+            this.releaseSeat(game, playerName);
+            this.sendPlayerList(game);
+            this.sendMessage(game, `🚪 ${playerName} was removed from the game`);
+        });
+
+        socket.on('reorderSeats', (data) => {
+            const game = this.hostedGame(socket, 'change the seating');
+            if (!game) return;
+
+            const result = game.reorderSeats(data && data.order);
+            if (!result.success) {
+                this.sendFailure(socket, result);
+                return;
+            }
+            this.sendPlayerList(game);
+        });
+
+        socket.on('transferHost', (data) => {
+            const game = this.hostedGame(socket, 'hand over hosting');
+            if (!game) return;
+
+            const result = game.transferHost(data && data.playerName);
+            if (!result.success) {
+                this.sendFailure(socket, result);
+                return;
+            }
+            this.sendPlayerList(game);
+            this.sendGameUpdate(game);
+        });
+
+        socket.on('addBot', (data) => {
+            const game = this.hostedGame(socket, 'add bots');
+            if (!game) return;
+            if (game.gameStarted) {
+                this.sendError(socket, ERROR_CODES.GAME_STARTED, 'Game already started');
+                return;
+            }
+
+            if (!game.hasOpenSeat()) {
+                this.sendError(socket, ERROR_CODES.GAME_FULL, 'Game is full');
+                return;
+            }
+
+            const botName = data && data.bot;
+            const loaded = this.botLibrary ? this.botLibrary.load(botName) : { success: false, message: 'No bots are installed' };
+            if (!loaded.success) {
+                this.sendFailure(socket, loaded, ERROR_CODES.BOT_UNAVAILABLE);
+                return;
+            }
+
+            let playerName = `Bot-${botName}`;
+            for (let copy = 2; game.players.includes(playerName); copy++) {
+                playerName = `Bot-${botName}-${copy}`;
+            }
+            game.addBotPlayer(playerName, botName);
+            this.botDrivers.get(game.gameCode).attach(playerName, loaded.bot);
+            this.sendPlayerList(game);
+
+            console.log(`${playerName} added to game ${game.gameCode}`);
+        });
+
+        // A bot program connecting as its own client. It takes a seat like a player,
+        // or reclaims one with its session token, then answers 'botDecision' requests
+        // through Socket.IO acknowledgements. See bots/README.md.
+        socket.on('joinAsBot', (data) => {
+            const { gameCode, playerName, sessionToken } = data || {};
+            const game = this.games.get(gameCode);
+            if (!game) {
+                this.sendError(socket, ERROR_CODES.GAME_NOT_FOUND, 'Game not found');
+                return;
+            }
+            if (socket.gameCode || socket.spectating || socket.botSeat) {
+                this.sendError(socket, ERROR_CODES.ALREADY_SEATED, 'This connection is already at a table');
+                return;
+            }
+
+            let seat;
+            if (sessionToken) {
+                seat = game.getPlayerForToken(sessionToken);
+                if (!seat || !game.botPlayers.has(seat)) {
+                    this.sendError(socket, ERROR_CODES.SEAT_UNAVAILABLE, 'That bot seat is no longer available');
+                    return;
+                }
+            } else {
+                if (!playerName) {
+                    this.sendError(socket, ERROR_CODES.INVALID_PAYLOAD, 'Bot name required');
+                    return;
+                }
+                if (game.gameStarted) {
+                    this.sendError(socket, ERROR_CODES.GAME_STARTED, 'Game already started');
+                    return;
+                }
+                if (!game.hasOpenSeat()) {
+                    this.sendError(socket, ERROR_CODES.GAME_FULL, 'Game is full');
+                    return;
+                }
+                if (!game.addBotPlayer(playerName)) {
+                    this.sendError(socket, ERROR_CODES.NAME_TAKEN, 'Player name already taken');
+                    return;
+                }
+                seat = playerName;
+            }
+
+            const bot = { decide: request => new Promise(resolve => socket.emit('botDecision', request, resolve)) };
+            socket.botSeat = { gameCode, playerName: seat, bot };
+            this.botDrivers.get(gameCode).attach(seat, bot);
+
+            socket.emit('botJoined', {
+                gameCode,
+                playerName: seat,
+                playerId: game.getPlayerId(seat),
+                sessionToken: sessionToken || game.issueSessionToken(seat)
+            });
+            if (!sessionToken) this.sendPlayerList(game);
+
+            console.log(`Bot ${seat} connected to game ${gameCode}`);
+        });
+
+        socket.on('startGame', () => {
+            const game = this.hostedGame(socket, 'start game');
+            if (!game) return;
+
+            const result = game.startGame();
+            if (!result.success) {
+                this.sendFailure(socket, result);
+                return;
+            }
+
+            game.players.forEach(playerName => {
+                if (!game.aiPlayers.has(playerName)) { // Only send to human players
+                    this.emitToPlayer(game, playerName, 'gameStarted', game.getGameState(playerName));
+                }
+            });
+            this.sendSpectatorUpdate(game, 'gameStarted');
+
+            console.log(`Game ${socket.gameCode} started`);
+        });
+
+        socket.on('drawCard', () => {
+            console.log(`${socket.playerName} attempting to draw card`);
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            const result = game.drawCard(socket.playerName);
+            console.log('Draw result:', result);
+            
+            if (result.success) {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} drew a card`);
+            } else {
+                this.sendFailure(socket, result);
+            }
+        });
+
+        socket.on('pickUpDiscard', () => {
+            console.log(`${socket.playerName} attempting to pick up discard`);
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            const result = game.pickUpDiscard(socket.playerName);
+            console.log('Pick up discard result:', result);
+            
+            if (result.success) {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} picked up the ${result.card.display} from discard pile`);
+            } else {
+                console.log('Pick up discard failed:', result.message);
+                this.sendFailure(socket, result);
+            }
+        });
+
+        socket.on('submitBuyRequest', (data) => {
+            console.log(`${socket.playerName} submitted buy request: ${data.wantsCard}`);
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            const result = game.submitBuyRequest(socket.playerName, data.wantsCard);
+            if (!result.success) {
+                console.log('Submit buy request failed:', result.message);
+                this.sendFailure(socket, result);
+            }
+        });
+
+        socket.on('discardDecision', (data) => {
+            console.log(`${socket.playerName} discard decision: ${data.wantsDiscard}`);
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            game.handleCurrentPlayerDiscardDecision(socket.playerName, data.wantsDiscard);
+        });
+
+        // NEW: Lay-off event handler
+        socket.on('layOffCard', (data) => {
+            console.log(`=== LAY OFF CARD EVENT ===`);
+            console.log(`Player: ${socket.playerName}`);
+            console.log(`Data received:`, data);
+            
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('❌ Game not found for code:', socket.gameCode);
+                return;
+            }
+
+            const result = game.layOffCard(socket.playerName, data.cardIndex, data.targetPlayer, data.meldIndex);
+            console.log('Lay-off result:', result);
+            
+            if (result.success) {
+                console.log(`✅ Lay-off successful, updating all players...`);
+                
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} laid off ${result.card.display} to ${data.targetPlayer}'s meld`);
+
+                if (result.roundEnded) {
+                    console.log(`🎉 Round ended! ${socket.playerName} went out by laying off!`);
+                    game.handleRoundEnd(result.roundResult);
+                }
+            } else {
+                console.log('❌ Lay-off failed:', result.message);
+                this.sendFailure(socket, result);
+            }
+            
+            console.log(`=== END LAY OFF EVENT ===`);
+        });
+
+        socket.on('swapWildCard', (data) => {
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            const result = game.swapWildCard(socket.playerName, data.cardIndex, data.targetPlayer, data.meldIndex);
+            console.log('Swap wild card result:', result);
+            
+            if (result.success) {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} swapped ${result.card.display} for a wild card in ${data.targetPlayer}'s meld`);
+            } else {
+                this.sendFailure(socket, result);
+            }
+        });
+
+        socket.on('discardCard', (data) => {
+            console.log(`=== DISCARD CARD EVENT ===`);
+            console.log(`Player: ${socket.playerName}`);
+            console.log(`Data received:`, data);
+            
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('❌ Game not found for code:', socket.gameCode);
+                return;
+            }
+
+            const result = game.discardCard(socket.playerName, data.cardIndex);
+            console.log('Discard result:', result);
+            
+            if (result.success) {
+                console.log(`✅ Discard successful, updating all players...`);
+                
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} discarded ${result.card.display}`);
+
+                if (result.roundEnded) {
+                    console.log(`🎉 Round ended! ${socket.playerName} went out!`);
+                    game.handleRoundEnd(result.roundResult);
+                }
+            } else {
+                console.log('❌ Discard failed:', result.message);
+                this.sendFailure(socket, result);
+            }
+            
+            console.log(`=== END DISCARD EVENT ===`);
+        });
+
+        socket.on('goDown', (data) => {
+            console.log(`${socket.playerName} going down with:`, data && data.melds);
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            const result = game.goDown(socket.playerName, data && data.melds);
+            if (result.success) {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} went down with ${result.melds.map(meld => meld.type).join(', ')}`);
+
+                if (result.roundEnded) {
+                    console.log(`🎉 ${socket.playerName} went out by going down with every card!`);
+                    game.handleRoundEnd(result.roundResult);
+                }
+            } else {
+                console.log('Go down failed:', result.message);
+                this.sendFailure(socket, result);
+            }
+        });
+
+        socket.on('makeMeld', (data) => {
+            console.log(`=== MAKE MELD EVENT ===`);
+            console.log(`Player: ${socket.playerName}`);
+            console.log(`Meld type: ${data.meldType}`);
+            console.log(`Card indices: ${data.cardIndices}`);
+            
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('❌ Game not found');
+                return;
+            }
+
+            const result = game.makeMeld(socket.playerName, data.cardIndices, data.meldType);
+            console.log('Make meld result:', result);
+            
+            if (result.success) {
+                console.log(`✅ Meld successful, updating all players...`);
+                
+                if (result.roundEnded) {
+                    console.log(`🎉 ${socket.playerName} went out by melding their last cards!`);
+                    
+                    this.sendMessage(game, `${socket.playerName} made a ${data.meldType} with ${result.meld.cards.length} cards`);
+                    game.handleRoundEnd(result.roundResult);
+                } else {
+                    this.sendGameUpdate(game);
+                    this.sendMessage(game, `${socket.playerName} made a ${data.meldType} with ${result.meld.cards.length} cards`);
+                }
+            } else {
+                console.log('❌ Make meld failed:', result.message);
+                this.sendFailure(socket, result);
+            }
+            
+            console.log(`=== END MAKE MELD EVENT ===`);
+        });
+
+        // Card reordering event handler
+        socket.on('reorderCards', (data) => {
+            console.log(`${socket.playerName} reordering cards:`, data.cardOrder);
+            const game = this.games.get(socket.gameCode);
+            if (!game) {
+                console.log('Game not found');
+                return;
+            }
+
+            if (socket.playerName) {
+                const result = game.reorderHand(socket.playerName, data.cardOrder);
+                if (result.success) {
+                    console.log(`${socket.playerName} hand reordered successfully`);
+                    
+                    const gameState = game.getGameState(socket.playerName);
+                    socket.emit('gameUpdate', gameState);
+                } else {
+                    console.log(`Invalid card order from ${socket.playerName}:`, data.cardOrder);
+                    this.sendFailure(socket, result);
+                }
+            }
+        });
+
+        // House rule: rebuild your own melds on the table, e.g. split a long run in two
+        socket.on('rearrangeMelds', (data) => {
+            const game = this.games.get(socket.gameCode);
+            if (!game || !socket.playerName) return;
+
+            const result = game.rearrangeMelds(socket.playerName, data.melds);
+            if (result.success) {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `${socket.playerName} rearranged their melds into ${result.melds.map(meld => meld.type).join(', ')}`);
+            } else {
+                this.sendFailure(socket, result);
+            }
+        });
+
+        // Take back the latest meld or lay-off of this turn; everyone sees the table as it was
+        socket.on('undoAction', () => {
+            const game = this.games.get(socket.gameCode);
+            if (!game || !socket.playerName) return;
+
+            const result = game.undoAction(socket.playerName);
+            if (result.success) {
+                this.sendGameUpdate(game);
+                this.sendMessage(game, `↩️ ${socket.playerName} took back their ${UNDO_LABELS[result.action]}`);
+            } else {
+                this.sendFailure(socket, result);
+            }
+        });
+
+        // A player the AI has been standing in for takes their seat back
+        socket.on('resumeControl', () => {
+            const game = this.games.get(socket.gameCode);
+            if (!game || !socket.playerName) return;
+
+            const result = game.resumeControl(socket.playerName);
+            if (!result.success) this.sendFailure(socket, result);
+        });
+
+        socket.on('rejoinGame', (data) => {
+            const { gameCode, sessionToken } = data || {};
+            const game = this.games.get(gameCode);
+            const playerName = game ? game.getPlayerForToken(sessionToken) : null;
+            
+            if (!playerName || game.botPlayers.has(playerName)) {
+                socket.emit('rejoinFailed', errorPayload(ERROR_CODES.SEAT_UNAVAILABLE, 'Your seat is no longer available'));
+                return;
+            }
+
+            if (socket.botSeat || this.socketFor(this.games.get(socket.gameCode), socket.playerName) === socket) {
+                this.sendError(socket, ERROR_CODES.ALREADY_SEATED, 'You already have a seat in a game');
+                return;
+            }
+
+            // Whichever connection held the seat before, such as a tab left open, stops playing it
+            const previousSocket = this.socketFor(game, playerName);
+            if (previousSocket) this.supersedeSocket(previousSocket);
+
+            if (socket.spectating) this.removeSpectator(socket);
+            game.markReconnected(playerName);
+            game.resumeControl(playerName);
+            this.bindSocket(game, playerName, socket);
+
+            socket.emit('sessionRejoined', game.getGameState(playerName));
+            socket.emit('spectatorsChanged', { count: this.spectatorCount(gameCode) });
+            this.io.to(gameCode).emit('playerReconnected', { playerName });
+            this.sendGameUpdate(game);
+
+            console.log(`${playerName} rejoined game ${gameCode}`);
+        });
+
+        socket.on('disconnect', () => {
+            console.log('Player disconnected:', socket.id);
+            
+            if (socket.spectating) {
+                this.removeSpectator(socket);
+                return;
+            }
+            
+            // The seat is played safe until the bot reconnects
+            if (socket.botSeat) {
+                const { gameCode, playerName, bot } = socket.botSeat;
+                this.botDrivers.get(gameCode)?.detach(playerName, bot);
+                return;
+            }
+            
+            if (socket.playerName && socket.gameCode) {
+                const game = this.games.get(socket.gameCode);
+                if (game && !game.aiPlayers.has(socket.playerName)) {
+                    // A newer socket has already reclaimed this seat
+                    if (this.playerSockets.get(game.gameCode)?.get(socket.playerId) !== socket.id) return;
+                    
+                    const playerName = socket.playerName;
+                    const gameCode = socket.gameCode;
+                    this.unbindSocket(game, playerName);
+                    
+                    game.markDisconnected(playerName);
+                    this.io.to(gameCode).emit('playerDisconnected', {
+                        playerName,
+                        graceMs: RECONNECT_GRACE_MS
+                    });
+                }
+            }
+        });
+    }
+}
+
+// How an undone action is announced to the table
+const UNDO_LABELS = {
+    goDown: 'go-down',
+    makeMeld: 'meld',
+    layOff: 'lay-off',
+    swapWildCard: 'wild card swap',
+    rearrangeMelds: 'rearranged melds'
+};
+
+function generateGameCode() {
+    return Math.random().toString(36).substring(2, 8).toUpperCase();
+}
+
+module.exports = SocketAdapter;